@@ -3610,15 +3610,15 @@ var require_protectedTokens = __commonJS({
     function isProtectedWeekYearToken(token) {
       return protectedWeekYearTokens.indexOf(token) !== -1;
     }
-    function throwProtectedError(token, format2, input) {
+    function throwProtectedError(token, format, input) {
       if (token === "YYYY") {
-        throw new RangeError("Use `yyyy` instead of `YYYY` (in `".concat(format2, "`) for formatting years to the input `").concat(input, "`; see: https://github.com/date-fns/date-fns/blob/master/docs/unicodeTokens.md"));
+        throw new RangeError("Use `yyyy` instead of `YYYY` (in `".concat(format, "`) for formatting years to the input `").concat(input, "`; see: https://github.com/date-fns/date-fns/blob/master/docs/unicodeTokens.md"));
       } else if (token === "YY") {
-        throw new RangeError("Use `yy` instead of `YY` (in `".concat(format2, "`) for formatting years to the input `").concat(input, "`; see: https://github.com/date-fns/date-fns/blob/master/docs/unicodeTokens.md"));
+        throw new RangeError("Use `yy` instead of `YY` (in `".concat(format, "`) for formatting years to the input `").concat(input, "`; see: https://github.com/date-fns/date-fns/blob/master/docs/unicodeTokens.md"));
       } else if (token === "D") {
-        throw new RangeError("Use `d` instead of `D` (in `".concat(format2, "`) for formatting days of the month to the input `").concat(input, "`; see: https://github.com/date-fns/date-fns/blob/master/docs/unicodeTokens.md"));
+        throw new RangeError("Use `d` instead of `D` (in `".concat(format, "`) for formatting days of the month to the input `").concat(input, "`; see: https://github.com/date-fns/date-fns/blob/master/docs/unicodeTokens.md"));
       } else if (token === "DD") {
-        throw new RangeError("Use `dd` instead of `DD` (in `".concat(format2, "`) for formatting days of the month to the input `").concat(input, "`; see: https://github.com/date-fns/date-fns/blob/master/docs/unicodeTokens.md"));
+        throw new RangeError("Use `dd` instead of `DD` (in `".concat(format, "`) for formatting days of the month to the input `").concat(input, "`; see: https://github.com/date-fns/date-fns/blob/master/docs/unicodeTokens.md"));
       }
     }
   }
@@ -3732,8 +3732,8 @@ var require_buildFormatLongFn = __commonJS({
       return function() {
         var options = arguments.length > 0 && arguments[0] !== void 0 ? arguments[0] : {};
         var width = options.width ? String(options.width) : args.defaultWidth;
-        var format2 = args.formats[width] || args.formats[args.defaultWidth];
-        return format2;
+        var format = args.formats[width] || args.formats[args.defaultWidth];
+        return format;
       };
     }
     module.exports = exports2.default;
@@ -4237,7 +4237,7 @@ var require_format = __commonJS({
     Object.defineProperty(exports2, "__esModule", {
       value: true
     });
-    exports2.default = format2;
+    exports2.default = format;
     var _index = _interopRequireDefault(require_isValid());
     var _index2 = _interopRequireDefault(require_subMilliseconds());
     var _index3 = _interopRequireDefault(require_toDate());
@@ -4254,7 +4254,7 @@ var require_format = __commonJS({
     var escapedStringRegExp = /^'([^]*?)'?$/;
     var doubleQuoteRegExp = /''/g;
     var unescapedLatinCharacterRegExp = /[a-zA-Z]/;
-    function format2(dirtyDate, dirtyFormatStr, options) {
+    function format(dirtyDate, dirtyFormatStr, options) {
       var _ref, _options$locale, _ref2, _ref3, _ref4, _options$firstWeekCon, _options$locale2, _options$locale2$opti, _defaultOptions$local, _defaultOptions$local2, _ref5, _ref6, _ref7, _options$weekStartsOn, _options$locale3, _options$locale3$opti, _defaultOptions$local3, _defaultOptions$local4;
       (0, _index9.default)(2, arguments);
       var formatStr = String(dirtyFormatStr);
@@ -4642,13 +4642,13 @@ var require_formatDuration = __commonJS({
       }
       var defaultOptions3 = (0, _index.getDefaultOptions)();
       var locale = (_ref = (_options$locale = options === null || options === void 0 ? void 0 : options.locale) !== null && _options$locale !== void 0 ? _options$locale : defaultOptions3.locale) !== null && _ref !== void 0 ? _ref : _index2.default;
-      var format2 = (_options$format = options === null || options === void 0 ? void 0 : options.format) !== null && _options$format !== void 0 ? _options$format : defaultFormat;
+      var format = (_options$format = options === null || options === void 0 ? void 0 : options.format) !== null && _options$format !== void 0 ? _options$format : defaultFormat;
       var zero = (_options$zero = options === null || options === void 0 ? void 0 : options.zero) !== null && _options$zero !== void 0 ? _options$zero : false;
       var delimiter = (_options$delimiter = options === null || options === void 0 ? void 0 : options.delimiter) !== null && _options$delimiter !== void 0 ? _options$delimiter : " ";
       if (!locale.formatDistance) {
         return "";
       }
-      var result = format2.reduce(function(acc, unit) {
+      var result = format.reduce(function(acc, unit) {
         var token = "x".concat(unit.replace(/(^.)/, function(m) {
           return m.toUpperCase();
         }));
@@ -4683,9 +4683,9 @@ var require_formatISO = __commonJS({
       if (isNaN(originalDate.getTime())) {
         throw new RangeError("Invalid time value");
       }
-      var format2 = String((_options$format = options === null || options === void 0 ? void 0 : options.format) !== null && _options$format !== void 0 ? _options$format : "extended");
+      var format = String((_options$format = options === null || options === void 0 ? void 0 : options.format) !== null && _options$format !== void 0 ? _options$format : "extended");
       var representation = String((_options$representati = options === null || options === void 0 ? void 0 : options.representation) !== null && _options$representati !== void 0 ? _options$representati : "complete");
-      if (format2 !== "extended" && format2 !== "basic") {
+      if (format !== "extended" && format !== "basic") {
         throw new RangeError("format must be 'extended' or 'basic'");
       }
       if (representation !== "date" && representation !== "time" && representation !== "complete") {
@@ -4693,8 +4693,8 @@ var require_formatISO = __commonJS({
       }
       var result = "";
       var tzOffset = "";
-      var dateDelimiter = format2 === "extended" ? "-" : "";
-      var timeDelimiter = format2 === "extended" ? ":" : "";
+      var dateDelimiter = format === "extended" ? "-" : "";
+      var timeDelimiter = format === "extended" ? ":" : "";
       if (representation !== "time") {
         var day = (0, _index2.default)(originalDate.getDate(), 2);
         var month = (0, _index2.default)(originalDate.getMonth() + 1, 2);
@@ -4746,17 +4746,17 @@ var require_formatISO9075 = __commonJS({
       if (!(0, _index2.default)(originalDate)) {
         throw new RangeError("Invalid time value");
       }
-      var format2 = String((_options$format = options === null || options === void 0 ? void 0 : options.format) !== null && _options$format !== void 0 ? _options$format : "extended");
+      var format = String((_options$format = options === null || options === void 0 ? void 0 : options.format) !== null && _options$format !== void 0 ? _options$format : "extended");
       var representation = String((_options$representati = options === null || options === void 0 ? void 0 : options.representation) !== null && _options$representati !== void 0 ? _options$representati : "complete");
-      if (format2 !== "extended" && format2 !== "basic") {
+      if (format !== "extended" && format !== "basic") {
         throw new RangeError("format must be 'extended' or 'basic'");
       }
       if (representation !== "date" && representation !== "time" && representation !== "complete") {
         throw new RangeError("representation must be 'date', 'time', or 'complete'");
       }
       var result = "";
-      var dateDelimiter = format2 === "extended" ? "-" : "";
-      var timeDelimiter = format2 === "extended" ? ":" : "";
+      var dateDelimiter = format === "extended" ? "-" : "";
+      var timeDelimiter = format === "extended" ? ":" : "";
       if (representation !== "time") {
         var day = (0, _index3.default)(originalDate.getDate(), 2);
         var month = (0, _index3.default)(originalDate.getMonth() + 1, 2);
@@ -10589,7 +10589,7 @@ var require_parseISO = __commonJS({
       var sign = captures[1] === "+" ? -1 : 1;
       var hours = parseInt(captures[2]);
       var minutes = captures[3] && parseInt(captures[3]) || 0;
-      if (!validateTimezone(hours, minutes)) {
+      if (!validateTimezone2(hours, minutes)) {
         return NaN;
       }
       return sign * (hours * _index.millisecondsInHour + minutes * _index.millisecondsInMinute);
@@ -10621,7 +10621,7 @@ var require_parseISO = __commonJS({
       }
       return seconds >= 0 && seconds < 60 && minutes >= 0 && minutes < 60 && hours >= 0 && hours < 25;
     }
-    function validateTimezone(_hours, minutes) {
+    function validateTimezone2(_hours, minutes) {
       return minutes >= 0 && minutes <= 59;
     }
     module.exports = exports2.default;
@@ -13677,8 +13677,13 @@ var require_date_fns = __commonJS({
 });
 
 // index.js
+import fs from "node:fs";
+import path from "node:path";
+import os from "node:os";
 import process from "node:process";
 import { Buffer as Buffer2 } from "node:buffer";
+import { Readable } from "node:stream";
+import { pipeline } from "node:stream/promises";
 
 // node_modules/fast-xml-parser/src/util.js
 var nameStartChar = ":A-Za-z_\\u00C0-\\u00D6\\u00D8-\\u00F6\\u00F8-\\u02FF\\u0370-\\u037D\\u037F-\\u1FFF\\u200C-\\u200D\\u2070-\\u218F\\u2C00-\\u2FEF\\u3001-\\uD7FF\\uF900-\\uFDCF\\uFDF0-\\uFFFD";
@@ -15146,7 +15151,8 @@ import crypto from "node:crypto";
 var CONFIG = {
   url: process.env.NEXTCLOUD_URL,
   user: process.env.NEXTCLOUD_USER,
-  token: process.env.NEXTCLOUD_TOKEN
+  token: process.env.NEXTCLOUD_TOKEN,
+  timezone: process.env.NEXTCLOUD_TZ
 };
 if (!CONFIG.url || !CONFIG.user || !CONFIG.token) {
   console.error(JSON.stringify({
@@ -15203,6 +15209,692 @@ function ensureArray(item) {
   if (item === void 0 || item === null) return [];
   return [item];
 }
+function getArgValues(args, flag) {
+  const values = [];
+  args.forEach((arg, i) => {
+    if (arg === flag && i + 1 < args.length) values.push(args[i + 1]);
+  });
+  return values;
+}
+function createLimiter(concurrency) {
+  let active = 0;
+  const queue = [];
+  const next = () => {
+    if (active >= concurrency || queue.length === 0) return;
+    active++;
+    const { task, resolve, reject } = queue.shift();
+    task().then(resolve, reject).finally(() => {
+      active--;
+      next();
+    });
+  };
+  return (task) => new Promise((resolve, reject) => {
+    queue.push({ task, resolve, reject });
+    next();
+  });
+}
+function parseSizeInput(input) {
+  const match = String(input).trim().match(/^(\d+(?:\.\d+)?)\s*([KMGT]?)I?B?$/i);
+  if (!match) throw new Error(`Invalid size '${input}'. Use bytes or e.g. 200K, 10MB, 1.5G.`);
+  const units = { "": 1, K: 1024, M: 1024 ** 2, G: 1024 ** 3, T: 1024 ** 4 };
+  return Math.round(parseFloat(match[1]) * units[match[2].toUpperCase()]);
+}
+function escapeXml(value) {
+  return String(value).replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;").replace(/"/g, "&quot;");
+}
+var ICal = {
+  parse(data) {
+    return this.parseAll(data)[0] || null;
+  },
+  // Parse every top-level component (an .ics file may hold several VCALENDARs)
+  parseAll(data) {
+    const root = this.component(null);
+    const stack = [root];
+    const lines = [];
+    for (const line of String(data).replace(/^\uFEFF/, "").replace(/&#13;/g, "").split(/\r?\n/)) {
+      if (/^[ \t]/.test(line) && lines.length > 0) lines[lines.length - 1] += line.slice(1);
+      else if (line.trim() !== "") lines.push(line.replace(/\r$/, ""));
+    }
+    for (const line of lines) {
+      const prop = this.parseLine(line);
+      if (!prop) continue;
+      const current = stack[stack.length - 1];
+      if (prop.name === "BEGIN") {
+        stack.push(this.addComponent(current, prop.value.trim().toUpperCase()));
+      } else if (prop.name === "END") {
+        if (stack.length > 1) stack.pop();
+      } else {
+        current.properties.push(prop);
+      }
+    }
+    return root.components;
+  },
+  parseLine(line) {
+    const nameMatch = line.match(/^[A-Za-z0-9-]+/);
+    if (!nameMatch) return null;
+    const prop = { name: nameMatch[0].toUpperCase(), params: {}, value: "" };
+    let i = nameMatch[0].length;
+    while (line[i] === ";") {
+      const eq = line.indexOf("=", i);
+      if (eq === -1) return null;
+      let j = eq + 1;
+      let quoted = false;
+      while (j < line.length && (quoted || line[j] !== ";" && line[j] !== ":")) {
+        if (line[j] === '"') quoted = !quoted;
+        j++;
+      }
+      prop.params[line.slice(i + 1, eq).toUpperCase()] = line.slice(eq + 1, j);
+      i = j;
+    }
+    if (line[i] !== ":") return null;
+    prop.value = line.slice(i + 1);
+    return prop;
+  },
+  stringify(component) {
+    const lines = [];
+    const write = (comp) => {
+      lines.push(`BEGIN:${comp.name}`);
+      for (const prop of comp.properties) lines.push(this.fold(this.formatLine(prop)));
+      for (const child of comp.components) write(child);
+      lines.push(`END:${comp.name}`);
+    };
+    write(component);
+    return lines.join("\r\n") + "\r\n";
+  },
+  formatLine(prop) {
+    const params = Object.entries(prop.params).map(([key, value]) => {
+      const quote = !value.startsWith('"') && /[:;]/.test(value);
+      return `;${key}=${quote ? `"${value}"` : value}`;
+    }).join("");
+    return `${prop.name}${params}:${prop.value}`;
+  },
+  // Fold lines longer than 75 octets without splitting multi-byte characters
+  fold(line) {
+    if (Buffer2.byteLength(line) <= 75) return line;
+    const parts = [];
+    let current = "";
+    let size = 0;
+    let limit = 75;
+    for (const char of line) {
+      const bytes = Buffer2.byteLength(char);
+      if (size + bytes > limit) {
+        parts.push(current);
+        current = "";
+        size = 0;
+        limit = 74;
+      }
+      current += char;
+      size += bytes;
+    }
+    parts.push(current);
+    return parts.join("\r\n ");
+  },
+  component(name) {
+    return { name, properties: [], components: [] };
+  },
+  calendar() {
+    const vcalendar = this.component("VCALENDAR");
+    this.addProperty(vcalendar, "VERSION", "2.0");
+    this.addProperty(vcalendar, "PRODID", "-//OpenClaw//Nextcloud Skill//EN");
+    return vcalendar;
+  },
+  addComponent(parent, name) {
+    const child = this.component(name);
+    parent.components.push(child);
+    return child;
+  },
+  find(component, name) {
+    return component.components.find((c) => c.name === name) || null;
+  },
+  findAll(component, name) {
+    return component.components.filter((c) => c.name === name);
+  },
+  getProperty(component, name) {
+    return component.properties.find((p) => p.name === name) || null;
+  },
+  getProperties(component, name) {
+    return component.properties.filter((p) => p.name === name);
+  },
+  getValue(component, name) {
+    const prop = this.getProperty(component, name);
+    return prop ? prop.value : null;
+  },
+  getText(component, name) {
+    const value = this.getValue(component, name);
+    return value === null ? null : unescapeICalText(value);
+  },
+  getParam(prop, name) {
+    const value = prop ? prop.params[name] : void 0;
+    return value === void 0 ? null : value.replace(/"/g, "");
+  },
+  addProperty(component, name, value, params = {}) {
+    component.properties.push({ name, params: { ...params }, value: String(value) });
+  },
+  // Replace every property of this name with a single one, keeping the position of the first
+  setProperty(component, name, value, params = {}) {
+    const prop = { name, params: { ...params }, value: String(value) };
+    const index = component.properties.findIndex((p) => p.name === name);
+    if (index === -1) {
+      component.properties.push(prop);
+      return;
+    }
+    component.properties = component.properties.filter((p, i) => p.name !== name || i === index);
+    component.properties[index] = prop;
+  },
+  removeProperty(component, name) {
+    const count = component.properties.length;
+    component.properties = component.properties.filter((p) => p.name !== name);
+    return count - component.properties.length;
+  }
+};
+var ICAL_WEEKDAYS = ["SU", "MO", "TU", "WE", "TH", "FR", "SA"];
+var DAY_MS = 24 * 60 * 60 * 1e3;
+var MAX_RECURRENCE_PERIODS = 1e5;
+function parseICalDate(value) {
+  const match = value && value.trim().match(/^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})(Z)?)?$/);
+  if (!match) return null;
+  const [, year, month, day, hour = "0", minute = "0", second = "0", zulu] = match;
+  return {
+    time: Date.UTC(+year, +month - 1, +day, +hour, +minute, +second),
+    utc: zulu === "Z",
+    dateOnly: match[4] === void 0
+  };
+}
+function formatICalDate(time, { utc = false, dateOnly = false } = {}) {
+  const compact = new Date(time).toISOString().replace(/[-:]/g, "").split(".")[0];
+  if (dateOnly) return compact.slice(0, 8);
+  return utc ? compact + "Z" : compact;
+}
+function escapeICalText(text) {
+  return String(text).replace(/\\/g, "\\\\").replace(/;/g, "\\;").replace(/,/g, "\\,").replace(/\r?\n/g, "\\n");
+}
+function unescapeICalText(text) {
+  return text.replace(/\\([\\;,nN])/g, (m, c) => c === "n" || c === "N" ? "\n" : c);
+}
+function splitICalText(text) {
+  return (text.match(/(?:\\.|[^,\\])+/g) || []).map(unescapeICalText).map((v) => v.trim()).filter((v) => v);
+}
+var ATTENDEE_ROLES = {
+  required: "REQ-PARTICIPANT",
+  optional: "OPT-PARTICIPANT",
+  chair: "CHAIR",
+  "non-participant": "NON-PARTICIPANT"
+};
+function buildCalAddress(spec, property = "ATTENDEE") {
+  const [address, ...options] = spec.split(";").map((p) => p.trim());
+  const email = address.replace(/^mailto:/i, "");
+  if (!/^[^@\s]+@[^@\s]+$/.test(email)) throw new Error(`Invalid ${property.toLowerCase()} email '${address}'.`);
+  const params = property === "ATTENDEE" ? { ROLE: "REQ-PARTICIPANT", PARTSTAT: "NEEDS-ACTION", RSVP: "TRUE" } : {};
+  for (const option of options) {
+    const [key, ...rest] = option.split("=");
+    const value = rest.join("=").trim();
+    const name = key.trim().toLowerCase();
+    if (name === "name" || name === "cn") {
+      params.CN = `"${value.replace(/"/g, "")}"`;
+    } else if (name === "role" && property === "ATTENDEE") {
+      const role = ATTENDEE_ROLES[value.toLowerCase()] || value.toUpperCase();
+      if (!Object.values(ATTENDEE_ROLES).includes(role)) {
+        throw new Error(`Invalid attendee role '${value}'. Use required, optional, chair or non-participant.`);
+      }
+      params.ROLE = role;
+    } else if (name === "rsvp" && property === "ATTENDEE") {
+      params.RSVP = /^(true|yes|1)$/i.test(value) ? "TRUE" : "FALSE";
+    } else {
+      throw new Error(`Unknown ${property.toLowerCase()} option '${key}'.`);
+    }
+  }
+  return { email, params, value: `mailto:${email}` };
+}
+function parseCalAddresses(component, name) {
+  return ICal.getProperties(component, name).map((prop) => ({
+    email: prop.value.replace(/^mailto:/i, ""),
+    name: ICal.getParam(prop, "CN"),
+    role: name === "ATTENDEE" ? ICal.getParam(prop, "ROLE") || "REQ-PARTICIPANT" : void 0,
+    partstat: name === "ATTENDEE" ? ICal.getParam(prop, "PARTSTAT") || "NEEDS-ACTION" : void 0,
+    rsvp: name === "ATTENDEE" ? ICal.getParam(prop, "RSVP") === "TRUE" : void 0
+  }));
+}
+function parseRRule(rrule) {
+  const rule = {};
+  for (const part of rrule.replace(/^RRULE:/i, "").trim().split(";")) {
+    const [key, value] = part.split("=");
+    if (key && value !== void 0) rule[key.trim().toUpperCase()] = value.trim().toUpperCase();
+  }
+  return rule;
+}
+function buildRRule(options = {}) {
+  if (options.rrule) {
+    const rrule = options.rrule.replace(/^RRULE:/i, "").trim();
+    if (!parseRRule(rrule).FREQ) throw new Error(`Invalid --rrule '${options.rrule}'. FREQ is required.`);
+    return rrule;
+  }
+  if (!options.repeat) return null;
+  const freq = options.repeat.toUpperCase();
+  if (!["DAILY", "WEEKLY", "MONTHLY", "YEARLY"].includes(freq)) {
+    throw new Error(`Invalid --repeat '${options.repeat}'. Use daily, weekly, monthly or yearly.`);
+  }
+  if (options.count && options.until) {
+    throw new Error("Use either --count or --until, not both.");
+  }
+  const parts = [`FREQ=${freq}`];
+  if (options.interval) {
+    const interval = parseInt(options.interval, 10);
+    if (!(interval > 0)) throw new Error(`Invalid --interval '${options.interval}'.`);
+    parts.push(`INTERVAL=${interval}`);
+  }
+  if (options.byDay) {
+    const byDay = options.byDay.toUpperCase().split(",").map((d) => d.trim());
+    const invalid = byDay.find((d) => !/^([+-]?\d{1,2})?(SU|MO|TU|WE|TH|FR|SA)$/.test(d));
+    if (invalid) throw new Error(`Invalid --byday value '${invalid}'. Use e.g. MO,WE,FR or 1MO, -1FR.`);
+    parts.push(`BYDAY=${byDay.join(",")}`);
+  }
+  if (options.count) {
+    const count = parseInt(options.count, 10);
+    if (!(count > 0)) throw new Error(`Invalid --count '${options.count}'.`);
+    parts.push(`COUNT=${count}`);
+  }
+  if (options.until) {
+    const until = new Date(options.until);
+    if (isNaN(until.getTime())) throw new Error(`Invalid --until '${options.until}'.`);
+    parts.push(`UNTIL=${formatICalDate(until.getTime(), { utc: true, dateOnly: !!options.allDay })}`);
+  }
+  return parts.join(";");
+}
+function monthDays(year, month, rule, fallbackDay) {
+  const daysInMonth = new Date(Date.UTC(year, month + 1, 0)).getUTCDate();
+  let days = [];
+  if (rule.BYMONTHDAY) {
+    for (const value of rule.BYMONTHDAY.split(",")) {
+      const n = parseInt(value, 10);
+      const day = n > 0 ? n : daysInMonth + n + 1;
+      if (day >= 1 && day <= daysInMonth) days.push(day);
+    }
+  }
+  if (rule.BYDAY) {
+    const byDay = [];
+    for (const token of rule.BYDAY.split(",")) {
+      const match = token.match(/^([+-]?\d{1,2})?([A-Z]{2})$/);
+      if (!match) continue;
+      const weekday = ICAL_WEEKDAYS.indexOf(match[2]);
+      const matching = [];
+      for (let day = 1; day <= daysInMonth; day++) {
+        if (new Date(Date.UTC(year, month, day)).getUTCDay() === weekday) matching.push(day);
+      }
+      if (match[1]) {
+        const n = parseInt(match[1], 10);
+        const day = n > 0 ? matching[n - 1] : matching[matching.length + n];
+        if (day) byDay.push(day);
+      } else {
+        byDay.push(...matching);
+      }
+    }
+    days = rule.BYMONTHDAY ? days.filter((d) => byDay.includes(d)) : byDay;
+  }
+  if (!rule.BYMONTHDAY && !rule.BYDAY && fallbackDay <= daysInMonth) days.push(fallbackDay);
+  return [...new Set(days)].sort((a, b) => a - b);
+}
+function expandRRule(dtstart, rrule, rangeEnd, toUtc = (time) => time, stop = () => false) {
+  const rule = parseRRule(rrule);
+  const interval = parseInt(rule.INTERVAL || "1", 10) || 1;
+  const count = rule.COUNT ? parseInt(rule.COUNT, 10) : Infinity;
+  const until = rule.UNTIL ? parseICalDate(rule.UNTIL) : null;
+  const byMonth = rule.BYMONTH ? rule.BYMONTH.split(",").map((m) => parseInt(m, 10)) : null;
+  const byWeekday = rule.BYDAY ? rule.BYDAY.split(",").map((t) => ICAL_WEEKDAYS.indexOf(t.slice(-2))) : null;
+  const start = new Date(dtstart);
+  const timeOfDay = dtstart - Date.UTC(start.getUTCFullYear(), start.getUTCMonth(), start.getUTCDate());
+  const occurrences = [];
+  let emitted = 0;
+  for (let period = 0; period < MAX_RECURRENCE_PERIODS; period++) {
+    let candidates = [];
+    if (rule.FREQ === "DAILY") {
+      candidates = [dtstart + period * interval * DAY_MS];
+    } else if (rule.FREQ === "WEEKLY") {
+      const weekStart = dtstart - (start.getUTCDay() + 6) % 7 * DAY_MS + period * interval * 7 * DAY_MS;
+      candidates = (byWeekday || [start.getUTCDay()]).map((w) => weekStart + (w + 6) % 7 * DAY_MS);
+    } else if (rule.FREQ === "MONTHLY" || rule.FREQ === "YEARLY") {
+      const months = [];
+      if (rule.FREQ === "MONTHLY") {
+        const total = start.getUTCMonth() + period * interval;
+        months.push([start.getUTCFullYear() + Math.floor(total / 12), total % 12]);
+      } else {
+        const year = start.getUTCFullYear() + period * interval;
+        for (const m of byMonth || [start.getUTCMonth() + 1]) months.push([year, m - 1]);
+      }
+      for (const [year, month] of months) {
+        for (const day of monthDays(year, month, rule, start.getUTCDate())) {
+          candidates.push(Date.UTC(year, month, day) + timeOfDay);
+        }
+      }
+    } else {
+      return toUtc(dtstart) <= rangeEnd ? [dtstart] : [];
+    }
+    candidates.sort((a, b) => a - b);
+    for (const candidate of candidates) {
+      if (candidate < dtstart) continue;
+      const date = new Date(candidate);
+      if (rule.FREQ === "DAILY" && byWeekday && !byWeekday.includes(date.getUTCDay())) continue;
+      if (byMonth && rule.FREQ !== "YEARLY" && !byMonth.includes(date.getUTCMonth() + 1)) continue;
+      if (until && (until.utc ? toUtc(candidate) : candidate) > until.time) return occurrences;
+      if (emitted >= count || toUtc(candidate) > rangeEnd) return occurrences;
+      emitted++;
+      occurrences.push(candidate);
+      if (stop(candidate)) return occurrences;
+    }
+  }
+  return occurrences;
+}
+function parseDurationInput(input) {
+  const match = String(input).trim().match(/^([+-])?((?:\d+[wdhms])+)$/i);
+  if (!match) return null;
+  const units = { w: 7 * DAY_MS, d: DAY_MS, h: 36e5, m: 6e4, s: 1e3 };
+  let ms = 0;
+  for (const [, amount, unit] of match[2].matchAll(/(\d+)([wdhms])/gi)) {
+    ms += parseInt(amount, 10) * units[unit.toLowerCase()];
+  }
+  return match[1] === "-" ? -ms : ms;
+}
+function parseWorkingHours(input) {
+  const match = String(input).trim().match(/^(\d{1,2}):(\d{2})\s*-\s*(\d{1,2}):(\d{2})$/);
+  if (!match) throw new Error(`Invalid working hours '${input}'. Use HH:MM-HH:MM, e.g. 09:00-17:00.`);
+  const [from, to] = [[match[1], match[2]], [match[3], match[4]]].map(([h, m]) => (+h * 60 + +m) * 6e4);
+  if (from >= to || to > DAY_MS) throw new Error(`Invalid working hours '${input}'. The end must be after the start on the same day.`);
+  return [from, to];
+}
+function parseICalDuration(value) {
+  const match = value && value.trim().match(/^([+-])?P(?:(\d+)W)?(?:(\d+)D)?(?:T(?:(\d+)H)?(?:(\d+)M)?(?:(\d+)S)?)?$/i);
+  if (!match) return null;
+  const [, sign, weeks = 0, days = 0, hours = 0, minutes = 0, seconds = 0] = match;
+  const ms = ((+weeks * 7 + +days) * 86400 + +hours * 3600 + +minutes * 60 + +seconds) * 1e3;
+  return sign === "-" ? -ms : ms;
+}
+function formatICalDuration(ms) {
+  let seconds = Math.abs(Math.round(ms / 1e3));
+  const days = Math.floor(seconds / 86400);
+  seconds -= days * 86400;
+  const hours = Math.floor(seconds / 3600);
+  seconds -= hours * 3600;
+  const minutes = Math.floor(seconds / 60);
+  seconds -= minutes * 60;
+  let time = "";
+  if (hours) time += `${hours}H`;
+  if (minutes) time += `${minutes}M`;
+  if (seconds) time += `${seconds}S`;
+  const body = `${days ? `${days}D` : ""}${time ? `T${time}` : ""}` || "T0S";
+  return `${ms < 0 ? "-" : ""}P${body}`;
+}
+function parseAlarmTrigger(trigger, { relatedEnd = false, timezone = null } = {}) {
+  const offset = parseDurationInput(trigger);
+  if (offset !== null) {
+    const ms = trigger.trim().startsWith("+") ? offset : -Math.abs(offset);
+    return { params: relatedEnd ? { RELATED: "END" } : {}, value: formatICalDuration(ms) };
+  }
+  const instant = parseDateInput(trigger, timezone);
+  return { params: { VALUE: "DATE-TIME" }, value: formatICalDate(instant, { utc: true }) };
+}
+function buildAlarm(spec, summary, options = {}) {
+  const [trigger, ...rest] = spec.split(";").map((p) => p.trim());
+  let action = "DISPLAY";
+  let recipient = null;
+  for (const option of rest) {
+    const [key, ...value] = option.split("=");
+    const name = key.trim().toLowerCase();
+    if (name === "action") {
+      action = value.join("=").trim().toUpperCase();
+      if (!["DISPLAY", "EMAIL"].includes(action)) throw new Error(`Invalid alarm action '${action}'. Use display or email.`);
+    } else if (name === "to") {
+      recipient = buildCalAddress(value.join("="));
+    } else {
+      throw new Error(`Unknown alarm option '${key}'. Use action or to.`);
+    }
+  }
+  const triggerProp = parseAlarmTrigger(trigger, options);
+  const valarm = ICal.component("VALARM");
+  ICal.addProperty(valarm, "ACTION", action);
+  ICal.addProperty(valarm, "TRIGGER", triggerProp.value, triggerProp.params);
+  ICal.addProperty(valarm, "DESCRIPTION", escapeICalText(summary || "Reminder"));
+  if (action === "EMAIL") {
+    ICal.addProperty(valarm, "SUMMARY", escapeICalText(summary || "Reminder"));
+    if (recipient) ICal.addProperty(valarm, "ATTENDEE", recipient.value);
+  }
+  return valarm;
+}
+function parseAlarms(component) {
+  return ICal.findAll(component, "VALARM").map((valarm) => {
+    const trigger = ICal.getProperty(valarm, "TRIGGER");
+    const absolute = ICal.getParam(trigger, "VALUE") === "DATE-TIME" ? resolveICalDate(trigger.value) : null;
+    return {
+      action: ICal.getValue(valarm, "ACTION") || "DISPLAY",
+      trigger: absolute ? toISODate(absolute) : trigger ? trigger.value : null,
+      related: absolute || !trigger ? null : ICal.getParam(trigger, "RELATED") || "START"
+    };
+  });
+}
+function removeAlarms(component, spec, options = {}) {
+  const target = spec.toLowerCase() === "all" ? null : parseAlarmTrigger(spec, options);
+  component.components = component.components.filter((child) => {
+    if (child.name !== "VALARM") return true;
+    if (!target) return false;
+    const trigger = ICal.getProperty(child, "TRIGGER");
+    if (!trigger) return true;
+    const same = target.params.VALUE === "DATE-TIME" ? trigger.value === target.value : parseICalDuration(trigger.value) === parseICalDuration(target.value);
+    return !same;
+  });
+}
+function clearProperties(component, clear, fields) {
+  for (const field of clear) {
+    const names = fields[field.toLowerCase()];
+    if (!names) throw new Error(`Cannot clear '${field}'. Use ${Object.keys(fields).join(", ")}.`);
+    for (const name of names) ICal.removeProperty(component, name);
+  }
+}
+function getRecurrenceOptions(args) {
+  const options = {};
+  const flags = { "--repeat": "repeat", "--rrule": "rrule", "--interval": "interval", "--count": "count", "--until": "until", "--byday": "byDay" };
+  for (const [flag, key] of Object.entries(flags)) {
+    const index = args.indexOf(flag);
+    if (index !== -1) options[key] = args[index + 1];
+  }
+  return options;
+}
+var tzFormatters = /* @__PURE__ */ new Map();
+function getTimezoneFormatter(timezone) {
+  if (!tzFormatters.has(timezone)) {
+    tzFormatters.set(timezone, new Intl.DateTimeFormat("en-US", {
+      timeZone: timezone,
+      hourCycle: "h23",
+      year: "numeric",
+      month: "2-digit",
+      day: "2-digit",
+      hour: "2-digit",
+      minute: "2-digit",
+      second: "2-digit"
+    }));
+  }
+  return tzFormatters.get(timezone);
+}
+function resolveTimezone(tzid) {
+  if (!tzid) return null;
+  const candidates = [tzid, tzid.split("/").filter((p) => p).slice(-2).join("/")];
+  for (const candidate of candidates) {
+    try {
+      getTimezoneFormatter(candidate);
+      return candidate;
+    } catch (e) {
+    }
+  }
+  return null;
+}
+function validateTimezone(timezone) {
+  if (!timezone) return null;
+  if (timezone.toUpperCase() === "UTC") return "UTC";
+  const resolved = resolveTimezone(timezone);
+  if (!resolved) throw new Error(`Unknown timezone '${timezone}'. Use an IANA name like Europe/Malta.`);
+  return resolved;
+}
+function getDefaultTimezone() {
+  return resolveTimezone(CONFIG.timezone) || Intl.DateTimeFormat().resolvedOptions().timeZone || "UTC";
+}
+function getTimezoneOffset(instant, timezone) {
+  const parts = {};
+  for (const { type, value } of getTimezoneFormatter(timezone).formatToParts(new Date(instant))) {
+    parts[type] = value;
+  }
+  const wall = Date.UTC(+parts.year, +parts.month - 1, +parts.day, +parts.hour % 24, +parts.minute, +parts.second);
+  return wall - Math.floor(instant / 1e3) * 1e3;
+}
+function zonedToUtc(wall, timezone) {
+  const guess = wall - getTimezoneOffset(wall, timezone);
+  return wall - getTimezoneOffset(guess, timezone);
+}
+function formatUtcOffset(offset, separator = "") {
+  const minutes = Math.abs(offset) / 6e4;
+  const hours = String(Math.floor(minutes / 60)).padStart(2, "0");
+  return `${offset < 0 ? "-" : "+"}${hours}${separator}${String(minutes % 60).padStart(2, "0")}`;
+}
+function parseDateInput(input, timezone = null) {
+  const value = String(input).trim();
+  const match = value.match(/^(\d{4})-(\d{2})-(\d{2})(?:[T ](\d{2}):(\d{2})(?::(\d{2}))?)?$/);
+  if (match && timezone && timezone !== "UTC") {
+    const [, year, month, day, hour = "0", minute = "0", second = "0"] = match;
+    return zonedToUtc(Date.UTC(+year, +month - 1, +day, +hour, +minute, +second), timezone);
+  }
+  const date = new Date(value);
+  if (isNaN(date.getTime())) throw new Error(`Invalid date '${input}'.`);
+  return date.getTime();
+}
+function toICalDateTime(input, timezone = null) {
+  const instant = parseDateInput(input, timezone);
+  if (!timezone || timezone === "UTC") {
+    return { params: {}, value: formatICalDate(instant, { utc: true }) };
+  }
+  return {
+    params: { TZID: timezone },
+    value: formatICalDate(instant + getTimezoneOffset(instant, timezone))
+  };
+}
+function parseDateOnlyInput(input, timezone = null) {
+  const match = String(input).trim().match(/^(\d{4})-(\d{2})-(\d{2})/);
+  if (match) return Date.UTC(+match[1], +match[2] - 1, +match[3]);
+  const instant = parseDateInput(input, timezone);
+  const zone = timezone || getDefaultTimezone();
+  const wall = zone === "UTC" ? instant : instant + getTimezoneOffset(instant, zone);
+  return wall - wall % DAY_MS;
+}
+function toICalDateRange(startDay, endDay) {
+  if (endDay <= startDay) throw new Error("All-day event must end on or after its start date.");
+  return [
+    { params: { VALUE: "DATE" }, value: formatICalDate(startDay, { dateOnly: true }) },
+    { params: { VALUE: "DATE" }, value: formatICalDate(endDay, { dateOnly: true }) }
+  ];
+}
+function resolveICalDate(value, tzid = null) {
+  const date = parseICalDate(value);
+  if (!date) return null;
+  date.tzid = date.utc ? "UTC" : tzid;
+  date.timezone = date.utc ? "UTC" : resolveTimezone(tzid) || getDefaultTimezone();
+  date.instant = date.utc ? date.time : zonedToUtc(date.time, date.timezone);
+  return date;
+}
+function getICalDates(component, name) {
+  const dates = [];
+  for (const prop of ICal.getProperties(component, name)) {
+    for (const value of prop.value.split(",")) {
+      const date = resolveICalDate(value, ICal.getParam(prop, "TZID"));
+      if (date) dates.push(date);
+    }
+  }
+  return dates;
+}
+function getICalDate(component, name) {
+  return getICalDates(component, name)[0] || null;
+}
+function shiftICalDate(date, time) {
+  return { ...date, time, instant: date.utc ? time : zonedToUtc(time, date.timezone) };
+}
+function toISODate(date) {
+  const base = new Date(date.time).toISOString().split(".")[0];
+  if (date.dateOnly) return base.slice(0, 10);
+  if (date.utc) return base + "Z";
+  return base + formatUtcOffset(getTimezoneOffset(date.instant, date.timezone), ":");
+}
+function formatInstant(instant, timezone) {
+  if (!timezone || timezone === "UTC") return toISODate({ time: instant, utc: true });
+  return toISODate({ time: instant + getTimezoneOffset(instant, timezone), instant, timezone });
+}
+var VTIMEZONE_YEARS = 5;
+function getTimezoneTransitions(timezone, year) {
+  const transitions = [];
+  let time = Date.UTC(year, 0, 1);
+  let offset = getTimezoneOffset(time, timezone);
+  for (let day = 1; day <= 366; day++) {
+    const next = Date.UTC(year, 0, 1 + day);
+    const nextOffset = getTimezoneOffset(next, timezone);
+    if (nextOffset !== offset) {
+      let low = time;
+      let high = next;
+      while (high - low > 6e4) {
+        const mid = low + Math.floor((high - low) / 12e4) * 6e4;
+        if (getTimezoneOffset(mid, timezone) === offset) low = mid;
+        else high = mid;
+      }
+      const local = new Date(high + offset);
+      const date = local.getUTCDate();
+      const daysInMonth = new Date(Date.UTC(local.getUTCFullYear(), local.getUTCMonth() + 1, 0)).getUTCDate();
+      const ordinal = date + 7 > daysInMonth ? -1 : Math.ceil(date / 7);
+      transitions.push({
+        local: local.getTime(),
+        from: offset,
+        to: nextOffset,
+        // Same key in every year = the change follows a yearly "nth weekday of month" rule
+        rule: `BYMONTH=${local.getUTCMonth() + 1};BYDAY=${ordinal}${ICAL_WEEKDAYS[local.getUTCDay()]}`,
+        key: [offset, nextOffset, local.getUTCMonth(), ordinal, local.getUTCDay(), local.getTime() % DAY_MS].join("/")
+      });
+      offset = nextOffset;
+    }
+    time = next;
+  }
+  return transitions;
+}
+function buildVTimezone(timezone, year) {
+  const years = Array.from({ length: VTIMEZONE_YEARS }, (_, i) => getTimezoneTransitions(timezone, year + i));
+  const initial = getTimezoneOffset(Date.UTC(year, 0, 1), timezone);
+  const keys = (list) => list.map((t) => t.key).join("|");
+  const regular = years.every((list) => keys(list) === keys(years[0]));
+  const vtimezone = ICal.component("VTIMEZONE");
+  ICal.addProperty(vtimezone, "TZID", timezone);
+  const observance = (from, to, local, daylight = to > from) => {
+    const component = ICal.addComponent(vtimezone, daylight ? "DAYLIGHT" : "STANDARD");
+    ICal.addProperty(component, "DTSTART", formatICalDate(local));
+    ICal.addProperty(component, "TZOFFSETFROM", formatUtcOffset(from));
+    ICal.addProperty(component, "TZOFFSETTO", formatUtcOffset(to));
+    return component;
+  };
+  const first = years.flat()[0];
+  observance(initial, initial, Date.UTC(1970, 0, 1), !!first && first.to < first.from);
+  if (regular) {
+    for (const transition of years[0]) {
+      const component = observance(transition.from, transition.to, transition.local);
+      ICal.addProperty(component, "RRULE", `FREQ=YEARLY;${transition.rule}`);
+    }
+  } else {
+    const groups = /* @__PURE__ */ new Map();
+    for (const transition of years.flat()) {
+      const key = `${transition.from}/${transition.to}`;
+      if (!groups.has(key)) groups.set(key, []);
+      groups.get(key).push(transition);
+    }
+    for (const [first2, ...rest] of groups.values()) {
+      const component = observance(first2.from, first2.to, first2.local);
+      for (const transition of rest) ICal.addProperty(component, "RDATE", formatICalDate(transition.local));
+    }
+  }
+  return vtimezone;
+}
+function ensureVTimezone(vcalendar, timezone, instant) {
+  if (!timezone || timezone === "UTC") return;
+  if (ICal.findAll(vcalendar, "VTIMEZONE").some((tz) => ICal.getValue(tz, "TZID") === timezone)) return;
+  vcalendar.components.unshift(buildVTimezone(timezone, new Date(instant).getUTCFullYear()));
+}
 var Notes = {
   async list() {
     const data = await request("/index.php/apps/notes/api/v1/notes", {
@@ -15278,39 +15970,140 @@ var Notes = {
     return { success: true, id };
   }
 };
+var FILE_PROPERTIES = [
+  "d:getlastmodified",
+  "d:getcontentlength",
+  "d:getcontenttype",
+  "d:getetag",
+  "d:resourcetype",
+  "oc:fileid",
+  "oc:permissions",
+  "oc:size",
+  "oc:owner-id",
+  "oc:owner-display-name",
+  "oc:favorite",
+  "oc:share-types",
+  "nc:has-preview"
+];
+var FILE_NAMESPACES = 'xmlns:d="DAV:" xmlns:oc="http://owncloud.org/ns" xmlns:nc="http://nextcloud.org/ns"';
+var WALK_CONCURRENCY = 4;
+var UPLOAD_CHUNK_SIZE = 10 * 1024 * 1024;
 var Files = {
   async list(dirPath = "/") {
     const cleanPath = dirPath.startsWith("/") ? dirPath.slice(1) : dirPath;
-    const endpoint = `/remote.php/dav/files/${CONFIG.user}/${cleanPath}`;
+    const endpoint = `/remote.php/dav/files/${CONFIG.user}/${cleanPath.split("/").map(encodeURIComponent).join("/")}`;
     const response = await request(endpoint, {
       method: "PROPFIND",
       headers: {
         "Depth": "1",
         "Content-Type": "application/xml"
-      }
+      },
+      body: this._propfindBody()
     });
     if (!response["d:multistatus"] || !response["d:multistatus"]["d:response"]) {
       return [];
     }
     const responses = ensureArray(response["d:multistatus"]["d:response"]);
-    return responses.map((r) => {
-      const href = r["d:href"];
-      const propstats = ensureArray(r["d:propstat"]);
-      if (!propstats[0] || !propstats[0]["d:prop"]) return null;
-      const props = propstats[0]["d:prop"];
-      const isDir = props["d:resourcetype"] && props["d:resourcetype"]["d:collection"] !== void 0;
-      const name = decodeURIComponent(href.split("/").filter((p) => p).pop());
-      if (href.endsWith(encodeURIComponent(CONFIG.user) + "/" + cleanPath) || href.endsWith(encodeURIComponent(CONFIG.user) + "/" + cleanPath + "/")) {
-        if (cleanPath !== "" && name === cleanPath.split("/").pop()) return null;
+    const self = cleanPath.replace(/\/+$/, "");
+    return responses.filter((r) => this._relativePath(r["d:href"]) !== self).map((r) => this._toEntry(r)).filter((f) => f);
+  },
+  // All properties of a single file or folder
+  async info(filePath) {
+    const cleanPath = filePath.startsWith("/") ? filePath.slice(1) : filePath;
+    const endpoint = `/remote.php/dav/files/${CONFIG.user}/${cleanPath}`;
+    const response = await request(endpoint, {
+      method: "PROPFIND",
+      headers: {
+        "Depth": "0",
+        "Content-Type": "application/xml"
+      },
+      body: this._propfindBody()
+    });
+    const responses = response["d:multistatus"] ? ensureArray(response["d:multistatus"]["d:response"]) : [];
+    const entry = responses.length > 0 ? this._toEntry(responses[0]) : null;
+    if (!entry) throw new Error(`No properties returned for '${filePath}'.`);
+    return entry;
+  },
+  _propfindBody() {
+    return `<?xml version="1.0"?>
+            <d:propfind ${FILE_NAMESPACES}>
+                <d:prop>
+                    ${FILE_PROPERTIES.map((p) => `<${p}/>`).join("")}
+                </d:prop>
+            </d:propfind>`;
+  },
+  // One PROPFIND/SEARCH response as a file entry. Properties the server doesn't have for
+  // an entry (e.g. getcontentlength of folders) come back in a 404 propstat and are skipped.
+  _toEntry(r) {
+    const href = r["d:href"];
+    const propstats = ensureArray(r["d:propstat"]);
+    const found = propstats.find((p) => String(p["d:status"]).includes(" 200")) || propstats[0];
+    if (!found || !found["d:prop"]) return null;
+    const props = found["d:prop"];
+    const isDir = !!props["d:resourcetype"] && props["d:resourcetype"]["d:collection"] !== void 0;
+    const size = isDir || props["d:getcontentlength"] === void 0 ? props["oc:size"] : props["d:getcontentlength"];
+    const shareTypes = props["oc:share-types"] ? ensureArray(props["oc:share-types"]["oc:share-type"]) : [];
+    return {
+      name: decodeURIComponent(href.split("/").filter((p) => p).pop()),
+      path: href,
+      isDir,
+      size: size !== void 0 && size !== "" ? Number(size) : null,
+      lastModified: props["d:getlastmodified"],
+      fileId: props["oc:fileid"] !== void 0 ? Number(props["oc:fileid"]) : null,
+      etag: props["d:getetag"] !== void 0 ? String(props["d:getetag"]) : null,
+      contentType: isDir ? null : props["d:getcontenttype"] || null,
+      permissions: props["oc:permissions"] !== void 0 ? String(props["oc:permissions"]) : null,
+      owner: props["oc:owner-display-name"] !== void 0 ? String(props["oc:owner-display-name"]) : null,
+      ownerId: props["oc:owner-id"] !== void 0 ? String(props["oc:owner-id"]) : null,
+      favorite: Number(props["oc:favorite"]) === 1,
+      hasPreview: String(props["nc:has-preview"]) === "true",
+      shareTypes: shareTypes.map(Number)
+    };
+  },
+  // Path of a WebDAV href relative to the user's root, e.g. Documents/a.txt
+  _relativePath(href) {
+    const root = `/remote.php/dav/files/${CONFIG.user}/`;
+    const decoded = decodeURIComponent(href);
+    const index = decoded.indexOf(root);
+    return (index === -1 ? decoded : decoded.slice(index + root.length)).replace(/^\/+|\/+$/g, "");
+  },
+  // Walk a folder and its subfolders (down to maxDepth levels below it) and return its
+  // entries with folders nested and paths relative to the user's root. Every folder gets
+  // totals of the files below it; folders cut off by maxDepth are marked truncated and
+  // only count with their size.
+  async walk(dirPath = "/", options = {}) {
+    const maxDepth = options.maxDepth || Infinity;
+    const limit = createLimiter(WALK_CONCURRENCY);
+    const visit = async (relative, depth) => {
+      const entries = await limit(() => this.list(relative));
+      return Promise.all(entries.map(async (listed) => {
+        const entry = { ...listed, path: this._relativePath(listed.path) };
+        if (!entry.isDir) return entry;
+        const folder = { ...entry, files: 0, folders: 0, size: 0, children: [] };
+        if (depth >= maxDepth) return { ...folder, files: null, folders: null, size: entry.size, truncated: true };
+        folder.children = await visit(entry.path, depth + 1);
+        return this._addTotals(folder);
+      }));
+    };
+    return visit(dirPath.replace(/^\/+|\/+$/g, ""), 1);
+  },
+  // The walked folder itself with its totals, for files tree
+  async tree(dirPath = "/", options = {}) {
+    const children = await this.walk(dirPath, options);
+    const relative = dirPath.replace(/^\/+|\/+$/g, "");
+    return this._addTotals({ name: relative.split("/").pop() || "/", path: relative || "/", isDir: true, files: 0, folders: 0, size: 0, children });
+  },
+  _addTotals(folder) {
+    for (const child of folder.children) {
+      if (child.isDir) {
+        folder.folders += 1 + (child.folders || 0);
+        folder.files += child.files || 0;
+      } else {
+        folder.files++;
       }
-      return {
-        name,
-        path: href,
-        isDir,
-        size: props["d:getcontentlength"],
-        lastModified: props["d:getlastmodified"]
-      };
-    }).filter((f) => f);
+      folder.size += child.size || 0;
+    }
+    return folder;
   },
   async upload(filePath, content) {
     const cleanPath = filePath.startsWith("/") ? filePath.slice(1) : filePath;
@@ -15323,7 +16116,111 @@ var Files = {
       body: content,
       rawBody: true
     });
-    return { path: filePath, status: "uploaded", size: content.length };
+    return { path: filePath, status: "uploaded", size: Buffer2.byteLength(content) };
+  },
+  // Upload a local file as raw bytes, streamed from disk. '-' reads stdin, which is
+  // buffered first since the size has to be known up front. Files larger than
+  // chunkSize (bytes) go through _uploadChunked.
+  async uploadFile(filePath, localPath, options = {}) {
+    const cleanPath = filePath.startsWith("/") ? filePath.slice(1) : filePath;
+    const endpoint = `/remote.php/dav/files/${CONFIG.user}/${cleanPath}`;
+    const chunkSize = options.chunkSize || UPLOAD_CHUNK_SIZE;
+    let size, readRange, resumeKey = null;
+    if (localPath === "-") {
+      const chunks = [];
+      for await (const chunk of process.stdin) chunks.push(chunk);
+      const buffer = Buffer2.concat(chunks);
+      size = buffer.length;
+      readRange = (start, end) => buffer.subarray(start, end);
+    } else {
+      const stat = fs.statSync(localPath);
+      if (!stat.isFile()) throw new Error(`'${localPath}' is not a file.`);
+      size = stat.size;
+      readRange = (start, end) => fs.createReadStream(localPath, { start, end: end - 1 });
+      resumeKey = crypto.createHash("sha256").update([CONFIG.url, CONFIG.user, cleanPath, path.resolve(localPath), size, stat.mtimeMs].join("\n")).digest("hex");
+    }
+    if (size > chunkSize) return this._uploadChunked(filePath, size, readRange, chunkSize, resumeKey);
+    await request(endpoint, {
+      method: "PUT",
+      headers: {
+        "Content-Type": "application/octet-stream",
+        "Content-Length": String(size)
+      },
+      body: size > 0 ? readRange(0, size) : "",
+      duplex: "half"
+    });
+    return { path: filePath, status: "uploaded", size };
+  },
+  // Nextcloud chunked upload v2: MKCOL an upload folder, PUT numbered chunks into it, then
+  // MOVE its .file onto the destination. With a resumeKey the upload folder is remembered in
+  // the temp directory, and running the same upload again only sends the missing chunks.
+  // Progress is reported on stderr.
+  async _uploadChunked(filePath, size, readRange, chunkSize, resumeKey) {
+    const destination = this._destination(filePath);
+    const stateFile = resumeKey ? path.join(os.tmpdir(), "nextcloud-skill-uploads", `${resumeKey}.json`) : null;
+    const uploadUrl = (id) => `/remote.php/dav/uploads/${CONFIG.user}/${id}`;
+    let state = stateFile && fs.existsSync(stateFile) ? JSON.parse(fs.readFileSync(stateFile, "utf8")) : null;
+    if (state && state.chunkSize !== chunkSize) state = null;
+    const existing = /* @__PURE__ */ new Map();
+    if (state) {
+      try {
+        const response = await request(uploadUrl(state.id), { method: "PROPFIND", headers: { "Depth": "1" } });
+        const responses = response["d:multistatus"] ? ensureArray(response["d:multistatus"]["d:response"]) : [];
+        for (const r of responses) {
+          const name = r["d:href"].split("/").filter((p) => p).pop();
+          const propstats = ensureArray(r["d:propstat"]);
+          if (/^\d+$/.test(name) && propstats[0] && propstats[0]["d:prop"]) {
+            existing.set(parseInt(name, 10), parseInt(propstats[0]["d:prop"]["d:getcontentlength"], 10));
+          }
+        }
+      } catch (e) {
+        state = null;
+      }
+    }
+    if (!state) {
+      state = { id: `openclaw-${crypto.randomUUID()}`, chunkSize };
+      await request(uploadUrl(state.id), { method: "MKCOL", headers: { "Destination": destination } });
+      if (stateFile) {
+        fs.mkdirSync(path.dirname(stateFile), { recursive: true });
+        fs.writeFileSync(stateFile, JSON.stringify(state));
+      }
+    }
+    const chunks = Math.ceil(size / chunkSize);
+    let resumed = 0;
+    for (let number = 1; number <= chunks; number++) {
+      const start = (number - 1) * chunkSize;
+      const end = Math.min(start + chunkSize, size);
+      if (existing.get(number) === end - start) {
+        resumed++;
+      } else {
+        await request(`${uploadUrl(state.id)}/${number}`, {
+          method: "PUT",
+          headers: {
+            "Content-Type": "application/octet-stream",
+            "Content-Length": String(end - start),
+            "Destination": destination,
+            "OC-Total-Length": String(size)
+          },
+          body: readRange(start, end),
+          duplex: "half"
+        });
+      }
+      console.error(JSON.stringify({
+        status: "progress",
+        path: filePath,
+        chunk: number,
+        chunks,
+        uploaded: end,
+        total: size,
+        percent: Math.floor(end / size * 100)
+      }));
+    }
+    await request(`${uploadUrl(state.id)}/.file`, {
+      method: "MOVE",
+      headers: { "Destination": destination, "OC-Total-Length": String(size) }
+    });
+    if (stateFile) fs.rmSync(stateFile, { force: true });
+    return { path: filePath, status: "uploaded", size, chunks, resumed };
   },
   async get(filePath) {
     const cleanPath = filePath.startsWith("/") ? filePath.slice(1) : filePath;
@@ -15340,6 +16237,83 @@ var Files = {
     const content = await response.text();
     return { path: filePath, content, size: content.length };
   },
+  // Save a file to disk byte for byte. An existing directory as localPath keeps the remote name.
+  async download(filePath, localPath) {
+    const cleanPath = filePath.startsWith("/") ? filePath.slice(1) : filePath;
+    const endpoint = `/remote.php/dav/files/${CONFIG.user}/${cleanPath}`;
+    if (fs.existsSync(localPath) && fs.statSync(localPath).isDirectory()) {
+      localPath = path.join(localPath, path.basename(cleanPath));
+    }
+    const response = await fetch(`${CONFIG.url}${endpoint}`, {
+      method: "GET",
+      headers: { "Authorization": AUTH_HEADER }
+    });
+    if (!response.ok) {
+      throw new Error(`Request failed: HTTP ${response.status}: ${response.statusText}`);
+    }
+    try {
+      await pipeline(Readable.fromWeb(response.body), fs.createWriteStream(localPath));
+    } catch (error) {
+      fs.rmSync(localPath, { force: true });
+      throw error;
+    }
+    const size = fs.statSync(localPath).size;
+    const expected = response.headers.get("content-encoding") ? null : response.headers.get("content-length");
+    if (expected !== null && parseInt(expected, 10) !== size) {
+      throw new Error(`Download of ${filePath} incomplete: got ${size} of ${expected} bytes.`);
+    }
+    return {
+      path: filePath,
+      file: path.resolve(localPath),
+      size,
+      contentType: response.headers.get("content-type")
+    };
+  },
+  // Absolute, encoded URL of a path for the Destination header of MOVE/COPY
+  _destination(filePath) {
+    const cleanPath = filePath.startsWith("/") ? filePath.slice(1) : filePath;
+    return `${CONFIG.url}/remote.php/dav/files/${encodeURIComponent(CONFIG.user)}/${cleanPath.split("/").map(encodeURIComponent).join("/")}`;
+  },
+  // Move or copy a file or folder. A destination ending in / is a folder to put it in.
+  async transfer(fromPath, toPath, options = {}) {
+    const cleanPath = fromPath.startsWith("/") ? fromPath.slice(1) : fromPath;
+    const endpoint = `/remote.php/dav/files/${CONFIG.user}/${cleanPath}`;
+    if (toPath.endsWith("/")) toPath += cleanPath.split("/").filter((p) => p).pop();
+    try {
+      await request(endpoint, {
+        method: options.copy ? "COPY" : "MOVE",
+        headers: {
+          "Destination": this._destination(toPath),
+          "Overwrite": options.overwrite ? "T" : "F"
+        }
+      });
+    } catch (e) {
+      if (e.message.includes("HTTP 412")) throw new Error(`'${toPath}' already exists. Use --overwrite to replace it.`);
+      if (e.message.includes("HTTP 409")) throw new Error(`The folder for '${toPath}' does not exist. Create it with files mkdir --parents.`);
+      throw e;
+    }
+    return { from: fromPath, to: toPath, status: options.copy ? "copied" : "moved" };
+  },
+  // MKCOL a folder; with parents, missing parent folders are created too and an
+  // existing folder is not an error
+  async mkdir(dirPath, options = {}) {
+    const segments = dirPath.split("/").filter((p) => p);
+    if (segments.length === 0) throw new Error("Missing folder name.");
+    const created = [];
+    for (let i = options.parents ? 1 : segments.length; i <= segments.length; i++) {
+      const current = segments.slice(0, i).join("/");
+      try {
+        await request(`/remote.php/dav/files/${CONFIG.user}/${current}`, { method: "MKCOL" });
+        created.push(current);
+      } catch (e) {
+        if (e.message.includes("HTTP 405") && options.parents) continue;
+        if (e.message.includes("HTTP 405")) throw new Error(`'${current}' already exists.`);
+        if (e.message.includes("HTTP 409")) throw new Error(`The parent folder of '${current}' does not exist. Use --parents to create it.`);
+        throw e;
+      }
+    }
+    return { path: dirPath, status: created.length > 0 ? "created" : "exists", created };
+  },
   async delete(filePath) {
     const cleanPath = filePath.startsWith("/") ? filePath.slice(1) : filePath;
     const endpoint = `/remote.php/dav/files/${CONFIG.user}/${cleanPath}`;
@@ -15348,33 +16322,67 @@ var Files = {
     });
     return { path: filePath, status: "deleted" };
   },
-  async search(query) {
+  // SEARCH by name and/or file properties. Options: folder (scope), mime (may use % as a
+  // wildcard), modifiedAfter, modifiedBefore, minSize, maxSize, limit and orderBy
+  // ('name', 'size' or 'modified', optionally with ':desc').
+  async search(query, options = {}) {
     const endpoint = `/remote.php/dav/files/${CONFIG.user}/`;
+    const timezone = validateTimezone(CONFIG.timezone);
+    const compare = (operator, prop, literal) => `
+                        <d:${operator}>
+                            <d:prop><${prop}/></d:prop>
+                            <d:literal>${escapeXml(literal)}</d:literal>
+                        </d:${operator}>`;
+    const conditions = [];
+    if (query) conditions.push(compare("like", "d:displayname", `%${query}%`));
+    if (options.mime) conditions.push(compare(options.mime.includes("%") ? "like" : "eq", "d:getcontenttype", options.mime));
+    if (options.modifiedAfter) conditions.push(compare("gt", "d:getlastmodified", Math.floor(parseDateInput(options.modifiedAfter, timezone) / 1e3)));
+    if (options.modifiedBefore) conditions.push(compare("lt", "d:getlastmodified", Math.floor(parseDateInput(options.modifiedBefore, timezone) / 1e3)));
+    if (options.minSize) conditions.push(compare("gte", "oc:size", parseSizeInput(options.minSize)));
+    if (options.maxSize) conditions.push(compare("lte", "oc:size", parseSizeInput(options.maxSize)));
+    if (conditions.length === 0) throw new Error("Give --query or at least one filter (--mime, --modified-after, --modified-before, --min-size, --max-size).");
+    const where = conditions.length === 1 ? conditions[0] : `<d:and>${conditions.join("")}</d:and>`;
+    let orderBy = "";
+    if (options.orderBy) {
+      const [field, direction = "asc"] = options.orderBy.toLowerCase().split(":");
+      const props = { name: "d:displayname", size: "oc:size", modified: "d:getlastmodified" };
+      if (!props[field] || !["asc", "desc"].includes(direction)) {
+        throw new Error(`Invalid --order-by '${options.orderBy}'. Use name, size or modified, optionally with :asc or :desc.`);
+      }
+      orderBy = `
+                    <d:orderby>
+                        <d:order>
+                            <d:prop><${props[field]}/></d:prop>
+                            <d:${direction === "desc" ? "descending" : "ascending"}/>
+                        </d:order>
+                    </d:orderby>`;
+    }
+    let limit = "";
+    if (options.limit !== void 0) {
+      const count = parseInt(options.limit, 10);
+      if (!(count > 0)) throw new Error(`Invalid --limit '${options.limit}'.`);
+      limit = `
+                    <d:limit>
+                        <d:nresults>${count}</d:nresults>
+                    </d:limit>`;
+    }
+    const folder = (options.folder || "").split("/").filter((p) => p).map(encodeURIComponent).join("/");
     const body = `
-            <d:searchrequest xmlns:d="DAV:">
+            <d:searchrequest ${FILE_NAMESPACES}>
                 <d:basicsearch>
                     <d:select>
                         <d:prop>
-                            <d:getlastmodified/>
-                            <d:getcontentlength/>
-                            <d:resourcetype/>
-                            <d:displayname/>
+                            ${FILE_PROPERTIES.map((p) => `<${p}/>`).join("")}
                         </d:prop>
                     </d:select>
                     <d:from>
                         <d:scope>
-                            <d:href>/files/${CONFIG.user}</d:href>
+                            <d:href>/files/${encodeURIComponent(CONFIG.user)}${folder ? "/" + folder : ""}</d:href>
                             <d:depth>infinity</d:depth>
                         </d:scope>
                     </d:from>
-                    <d:where>
-                        <d:like>
-                            <d:prop>
-                                <d:displayname/>
-                            </d:prop>
-                            <d:literal>%${query}%</d:literal>
-                        </d:like>
-                    </d:where>
+                    <d:where>${where}
+                    </d:where>${orderBy}${limit}
                 </d:basicsearch>
             </d:searchrequest>
         `;
@@ -15385,20 +16393,7 @@ var Files = {
     });
     if (!response["d:multistatus"] || !response["d:multistatus"]["d:response"]) return [];
     const responses = ensureArray(response["d:multistatus"]["d:response"]);
-    return responses.map((r) => {
-      const href = r["d:href"];
-      const propstats = ensureArray(r["d:propstat"]);
-      if (!propstats[0] || !propstats[0]["d:prop"]) return null;
-      const props = propstats[0]["d:prop"];
-      const isDir = props["d:resourcetype"] && props["d:resourcetype"]["d:collection"] !== void 0;
-      return {
-        name: props["d:displayname"] || decodeURIComponent(href.split("/").pop()),
-        path: href,
-        isDir,
-        size: props["d:getcontentlength"],
-        lastModified: props["d:getlastmodified"]
-      };
-    }).filter((f) => f);
+    return responses.map((r) => this._toEntry(r)).filter((f) => f).map((entry) => ({ ...entry, path: this._relativePath(entry.path) }));
   }
 };
 var CalDAV = {
@@ -15406,36 +16401,220 @@ var CalDAV = {
     const endpoint = `/remote.php/dav/calendars/${CONFIG.user}/`;
     const response = await request(endpoint, {
       method: "PROPFIND",
-      headers: { "Depth": "1" }
+      headers: { "Depth": "1", "Content-Type": "application/xml" },
+      body: `
+                <d:propfind xmlns:d="DAV:" xmlns:cal="urn:ietf:params:xml:ns:caldav" xmlns:x1="http://apple.com/ns/ical/">
+                    <d:prop>
+                        <d:resourcetype />
+                        <d:displayname />
+                        <cal:supported-calendar-component-set />
+                        <cal:calendar-description />
+                        <x1:calendar-color />
+                    </d:prop>
+                </d:propfind>
+            `
     });
     if (!response["d:multistatus"] || !response["d:multistatus"]["d:response"]) return [];
     const responses = ensureArray(response["d:multistatus"]["d:response"]);
     return responses.map((r) => {
       const propstats = ensureArray(r["d:propstat"]);
-      if (!propstats[0] || !propstats[0]["d:prop"]) return null;
-      const props = propstats[0]["d:prop"];
+      const found = propstats.find((p) => String(p["d:status"]).includes(" 200 ")) || propstats[0];
+      if (!found || !found["d:prop"]) return null;
+      const props = found["d:prop"];
       if (!props["d:resourcetype"] || !("cal:calendar" in props["d:resourcetype"])) return null;
-      let compType = null;
       const compSet = props["cal:supported-calendar-component-set"];
-      if (compSet && compSet["cal:comp"]) {
-        compType = compSet["cal:comp"]["@_name"];
-      }
+      const components = ensureArray(compSet && compSet["cal:comp"]).map((c) => c["@_name"]);
       return {
         url: r["d:href"],
         displayname: props["d:displayname"],
-        componentType: compType
+        componentType: components[0] || null,
+        components,
+        color: props["x1:calendar-color"] || null,
+        description: props["cal:calendar-description"] || null
       };
-    }).filter((c) => c && (!componentType || c.componentType === componentType));
+    }).filter((c) => c && (!componentType || c.components.includes(componentType)));
+  },
+  // --- Calendar Management ---
+  async createCalendar(name, type, options = {}) {
+    const componentType = this._componentTypeFor(type);
+    const props = this._calendarProps(options);
+    const calendars = await this.findCalendars();
+    if (calendars.some((c) => c.displayname === name)) throw new Error(`Calendar '${name}' already exists.`);
+    const base = name.toLowerCase().replace(/[^a-z0-9]+/g, "-").replace(/^-|-$/g, "") || "calendar";
+    const taken = new Set(calendars.map((c) => decodeURIComponent(c.url.replace(/\/$/, "").split("/").pop())));
+    let slug = base;
+    for (let i = 2; taken.has(slug); i++) slug = `${base}-${i}`;
+    const url = `/remote.php/dav/calendars/${CONFIG.user}/${slug}/`;
+    await request(url, {
+      method: "MKCALENDAR",
+      headers: { "Content-Type": "application/xml" },
+      body: `
+                <cal:mkcalendar xmlns:d="DAV:" xmlns:cal="urn:ietf:params:xml:ns:caldav" xmlns:x1="http://apple.com/ns/ical/">
+                    <d:set>
+                        <d:prop>
+                            <d:displayname>${escapeXml(name)}</d:displayname>
+                            <cal:supported-calendar-component-set>
+                                <cal:comp name="${componentType}" />
+                            </cal:supported-calendar-component-set>
+                            ${props}
+                        </d:prop>
+                    </d:set>
+                </cal:mkcalendar>
+            `
+    });
+    return { name, type, url: `${CONFIG.url}${url}`, status: "created" };
+  },
+  async updateCalendar(calendarName, updates) {
+    if (!calendarName) throw new Error("Missing calendar name.");
+    const cal = await this.getCalendar(calendarName);
+    if (updates.name && updates.name !== cal.displayname) {
+      const calendars = await this.findCalendars();
+      if (calendars.some((c) => c.displayname === updates.name)) throw new Error(`Calendar '${updates.name}' already exists.`);
+    }
+    const props = this._calendarProps(updates);
+    if (!props) throw new Error("Nothing to update. Use --new-name, --color or --description.");
+    await request(cal.url, {
+      method: "PROPPATCH",
+      headers: { "Content-Type": "application/xml" },
+      body: `
+                <d:propertyupdate xmlns:d="DAV:" xmlns:cal="urn:ietf:params:xml:ns:caldav" xmlns:x1="http://apple.com/ns/ical/">
+                    <d:set>
+                        <d:prop>
+                            ${props}
+                        </d:prop>
+                    </d:set>
+                </d:propertyupdate>
+            `
+    });
+    return { name: updates.name || cal.displayname, url: `${CONFIG.url}${cal.url}`, status: "updated" };
+  },
+  async deleteCalendar(calendarName) {
+    if (!calendarName) throw new Error("Missing calendar name.");
+    const cal = await this.getCalendar(calendarName);
+    await request(cal.url, {
+      method: "DELETE"
+    });
+    return { name: cal.displayname, status: "deleted" };
+  },
+  _componentTypeFor(type) {
+    if (type === "events") return "VEVENT";
+    if (type === "tasks") return "VTODO";
+    throw new Error(`Invalid calendar type '${type}'. Use events or tasks.`);
+  },
+  // PROPPATCH/MKCALENDAR properties for name, color and description
+  _calendarProps({ name, color, description }) {
+    const props = [];
+    if (name) props.push(`<d:displayname>${escapeXml(name)}</d:displayname>`);
+    if (color) {
+      const hex = color.startsWith("#") ? color : `#${color}`;
+      if (!/^#([0-9a-f]{6}|[0-9a-f]{8})$/i.test(hex)) throw new Error(`Invalid color '${color}'. Use a hex color like #0082c9.`);
+      props.push(`<x1:calendar-color>${hex}</x1:calendar-color>`);
+    }
+    if (description !== void 0 && description !== null) {
+      props.push(`<cal:calendar-description>${escapeXml(description)}</cal:calendar-description>`);
+    }
+    return props.join("\n");
   },
   async getEvents(start, end) {
     const calendars = await this.findCalendars("VEVENT");
     const allEvents = [];
-    const toCalDavDate = (dateStr) => {
-      const d = new Date(dateStr);
-      return d.toISOString().replace(/[-:]/g, "").split(".")[0] + "Z";
-    };
-    const startStr = toCalDavDate(start);
-    const endStr = toCalDavDate(end);
+    const rangeStart = new Date(start).getTime();
+    const rangeEnd = new Date(end).getTime();
+    for (const cal of calendars) {
+      try {
+        const objects = await this._queryObjects(cal, "VEVENT", start, end);
+        for (const object of objects) {
+          for (const event of this._expandEvents(object.data, rangeStart, rangeEnd)) {
+            allEvents.push({
+              uid: event.uid,
+              calendar: cal.displayname,
+              summary: event.summary,
+              location: event.location,
+              url: event.url,
+              organizer: event.organizer,
+              attendees: event.attendees,
+              alarms: event.alarms,
+              start: event.start,
+              end: event.end,
+              allDay: event.allDay,
+              tzid: event.tzid,
+              recurrenceId: event.recurrenceId,
+              rrule: event.rrule
+            });
+          }
+        }
+      } catch (e) {
+      }
+    }
+    return allEvents;
+  },
+  // Case-insensitive search in SUMMARY, DESCRIPTION and LOCATION. With an end date every matching
+  // occurrence up to it is returned; without one, recurring events are listed once as a series.
+  async searchEvents(query, options = {}) {
+    const calendars = options.calendar ? [await this.getCalendar(options.calendar, "VEVENT")] : await this.findCalendars("VEVENT");
+    const rangeStart = options.start ? new Date(options.start).getTime() : -864e13;
+    const rangeEnd = options.end ? new Date(options.end).getTime() : null;
+    if (rangeEnd !== null && rangeEnd <= rangeStart) throw new Error("--to must be after --from.");
+    const needle = query.toLowerCase();
+    const matches = (event) => [event.summary, event.description, event.location].some((v) => v && v.toLowerCase().includes(needle));
+    const results = [];
+    for (const cal of calendars) {
+      try {
+        const objects = /* @__PURE__ */ new Map();
+        for (const prop of ["SUMMARY", "DESCRIPTION", "LOCATION"]) {
+          const filter = `
+                        <c:prop-filter name="${prop}">
+                            <c:text-match collation="i;unicode-casemap">${escapeXml(query)}</c:text-match>
+                        </c:prop-filter>
+                    `;
+          for (const object of await this._queryObjects(cal, "VEVENT", options.start, options.end, filter)) {
+            objects.set(object.href, object);
+          }
+        }
+        for (const object of objects.values()) {
+          let events;
+          if (rangeEnd !== null) {
+            events = this._expandEvents(object.data, rangeStart, rangeEnd);
+          } else {
+            const vcalendar = ICal.parse(object.data);
+            const master = this._getMaster(vcalendar, "VEVENT");
+            const rrule = master ? ICal.getValue(master, "RRULE") : null;
+            events = ICal.findAll(vcalendar, "VEVENT").map((v) => this._toEvent(
+              v,
+              getICalDate(v, "DTSTART"),
+              getICalDate(v, "DTEND"),
+              getICalDate(v, "RECURRENCE-ID"),
+              rrule
+            ));
+          }
+          for (const event of events.filter(matches)) {
+            results.push({
+              uid: event.uid,
+              calendar: cal.displayname,
+              summary: event.summary,
+              description: event.description,
+              location: event.location,
+              start: event.start,
+              end: event.end,
+              allDay: event.allDay,
+              tzid: event.tzid,
+              recurrenceId: event.recurrenceId,
+              rrule: event.rrule
+            });
+          }
+        }
+      } catch (e) {
+        if (options.calendar) throw e;
+        console.error(JSON.stringify({ status: "warning", calendar: cal.displayname, message: e.message }));
+      }
+    }
+    return results.sort((a, b) => new Date(a.start) - new Date(b.start));
+  },
+  // Fetch the objects of one calendar containing a component type, optionally limited to a
+  // time range and further CalDAV filters (e.g. a prop-filter) on that component
+  async _queryObjects(cal, componentType, start = null, end = null, filter = "") {
+    const toCalDavDate = (dateStr) => formatICalDate(new Date(dateStr).getTime(), { utc: true });
+    const timeRange = start || end ? `<c:time-range${start ? ` start="${toCalDavDate(start)}"` : ""}${end ? ` end="${toCalDavDate(end)}"` : ""} />` : "";
     const body = `
             <c:calendar-query xmlns:d="DAV:" xmlns:c="urn:ietf:params:xml:ns:caldav">
                 <d:prop>
@@ -15444,44 +16623,97 @@ var CalDAV = {
                 </d:prop>
                 <c:filter>
                     <c:comp-filter name="VCALENDAR">
-                        <c:comp-filter name="VEVENT">
-                            <c:time-range start="${startStr}" end="${endStr}" />
+                        <c:comp-filter name="${componentType}">
+                            ${timeRange}
+                            ${filter}
                         </c:comp-filter>
                     </c:comp-filter>
                 </c:filter>
             </c:calendar-query>
         `;
-    for (const cal of calendars) {
-      try {
-        const response = await request(cal.url, {
-          method: "REPORT",
-          headers: { "Depth": "1", "Content-Type": "application/xml" },
-          body
-        });
-        if (!response["d:multistatus"] || !response["d:multistatus"]["d:response"]) continue;
-        const responses = ensureArray(response["d:multistatus"]["d:response"]);
-        for (const r of responses) {
-          const propstats = ensureArray(r["d:propstat"]);
-          if (!propstats[0] || !propstats[0]["d:prop"]) continue;
-          const calData = propstats[0]["d:prop"]["cal:calendar-data"];
-          const uidMatch = calData.match(/UID:(.*)/);
-          const summaryMatch = calData.match(/SUMMARY:(.*)/);
-          const dtstartMatch = calData.match(/DTSTART(?:;.*)?:(.*)/);
-          const dtendMatch = calData.match(/DTEND(?:;.*)?:(.*)/);
-          allEvents.push({
-            uid: uidMatch ? uidMatch[1].trim() : "No UID",
-            calendar: cal.displayname,
-            summary: summaryMatch ? summaryMatch[1].trim() : "No Title",
-            start: dtstartMatch ? dtstartMatch[1].trim() : "Unknown",
-            end: dtendMatch ? dtendMatch[1].trim() : null
-          });
+    const response = await request(cal.url, {
+      method: "REPORT",
+      headers: { "Depth": "1", "Content-Type": "application/xml" },
+      body
+    });
+    if (!response["d:multistatus"] || !response["d:multistatus"]["d:response"]) return [];
+    return ensureArray(response["d:multistatus"]["d:response"]).map((r) => {
+      const propstats = ensureArray(r["d:propstat"]);
+      if (!propstats[0] || !propstats[0]["d:prop"] || !propstats[0]["d:prop"]["cal:calendar-data"]) return null;
+      return {
+        href: r["d:href"],
+        etag: propstats[0]["d:prop"]["d:getetag"],
+        data: propstats[0]["d:prop"]["cal:calendar-data"]
+      };
+    }).filter((o) => o);
+  },
+  // Split a calendar object into its VEVENTs and expand recurring ones into the occurrences
+  // inside [rangeStart, rangeEnd), honouring EXDATE and RECURRENCE-ID overrides.
+  _expandEvents(calData, rangeStart, rangeEnd) {
+    const vcalendar = ICal.parse(calData);
+    const vevents = vcalendar ? ICal.findAll(vcalendar, "VEVENT") : [];
+    const inRange = (start, end) => start < rangeEnd && (end > start ? end > rangeStart : start >= rangeStart);
+    const master = vevents.find((v) => !ICal.getProperty(v, "RECURRENCE-ID"));
+    const overrides = vevents.filter((v) => ICal.getProperty(v, "RECURRENCE-ID"));
+    const masterRRule = master ? ICal.getValue(master, "RRULE") : null;
+    const events = [];
+    if (master) {
+      const dtstart = getICalDate(master, "DTSTART");
+      const dtend = getICalDate(master, "DTEND");
+      if (!masterRRule || !dtstart) {
+        events.push(this._toEvent(master, dtstart, dtend, null, null));
+      } else {
+        const duration = dtend ? dtend.time - dtstart.time : dtstart.dateOnly ? DAY_MS : 0;
+        const skipped = new Set(getICalDates(master, "EXDATE").map((d) => d.instant));
+        for (const override of overrides) {
+          const recurrenceId = getICalDate(override, "RECURRENCE-ID");
+          if (recurrenceId) skipped.add(recurrenceId.instant);
+        }
+        const toUtc = (time) => shiftICalDate(dtstart, time).instant;
+        for (const time of expandRRule(dtstart.time, masterRRule, rangeEnd, toUtc)) {
+          const start = shiftICalDate(dtstart, time);
+          const end = dtend ? shiftICalDate(dtend, time + duration) : null;
+          if (skipped.has(start.instant) || !inRange(start.instant, end ? end.instant : start.instant)) continue;
+          events.push(this._toEvent(master, start, end, start, masterRRule));
         }
-      } catch (e) {
       }
     }
-    return allEvents;
+    for (const override of overrides) {
+      const start = getICalDate(override, "DTSTART");
+      const end = getICalDate(override, "DTEND");
+      if (start && !inRange(start.instant, end ? end.instant : start.instant)) continue;
+      events.push(this._toEvent(override, start, end, getICalDate(override, "RECURRENCE-ID"), masterRRule));
+    }
+    return events.sort((a, b) => new Date(a.start) - new Date(b.start));
+  },
+  // One (occurrence of an) event as returned by calendar list/search
+  _toEvent(vevent, start, end, recurrenceId, rrule) {
+    return {
+      uid: ICal.getText(vevent, "UID") || "No UID",
+      summary: ICal.getText(vevent, "SUMMARY") || "No Title",
+      description: ICal.getText(vevent, "DESCRIPTION"),
+      location: ICal.getText(vevent, "LOCATION"),
+      url: ICal.getValue(vevent, "URL"),
+      organizer: parseCalAddresses(vevent, "ORGANIZER")[0] || null,
+      attendees: parseCalAddresses(vevent, "ATTENDEE"),
+      alarms: parseAlarms(vevent),
+      start: start ? toISODate(start) : ICal.getValue(vevent, "DTSTART") || "Unknown",
+      end: end ? toISODate(end) : ICal.getValue(vevent, "DTEND"),
+      allDay: start ? start.dateOnly : false,
+      tzid: start ? start.tzid : null,
+      recurrenceId: recurrenceId ? toISODate(recurrenceId) : null,
+      rrule,
+      // Transparent and cancelled events don't block time in free/busy lookups
+      busy: ICal.getValue(vevent, "TRANSP") !== "TRANSPARENT" && ICal.getValue(vevent, "STATUS") !== "CANCELLED"
+    };
+  },
+  // The main component of a calendar object: the first one that is not a RECURRENCE-ID override
+  _getMaster(vcalendar, componentType) {
+    const components = vcalendar ? ICal.findAll(vcalendar, componentType) : [];
+    return components.find((c) => !ICal.getProperty(c, "RECURRENCE-ID")) || components[0] || null;
   },
-  async getTodos(calendarName = null) {
+  async getTodos(calendarName = null, options = {}) {
+    const filter = this._todoFilter(options);
     let calendars = await this.findCalendars("VTODO");
     if (calendarName) {
       calendars = calendars.filter((c) => c.displayname === calendarName);
@@ -15500,9 +16732,7 @@ var CalDAV = {
                 <c:filter>
                     <c:comp-filter name="VCALENDAR">
                         <c:comp-filter name="VTODO">
-                            <c:prop-filter name="STATUS">
-                                <c:text-match negate-condition="yes">COMPLETED</c:text-match>
-                            </c:prop-filter>
+                            ${filter.xml}
                         </c:comp-filter>
                     </c:comp-filter>
                 </c:filter>
@@ -15522,25 +16752,137 @@ var CalDAV = {
           if (!propstats[0] || !propstats[0]["d:prop"]) {
             continue;
           }
-          const calData = propstats[0]["d:prop"]["cal:calendar-data"];
-          const summaryMatch = calData.match(/SUMMARY:(.*)/);
-          const statusMatch = calData.match(/STATUS:(.*)/);
-          const uidMatch = calData.match(/UID:(.*)/);
-          const dueMatch = calData.match(/DUE(?:;.*)?:(.*)/);
-          const priorityMatch = calData.match(/PRIORITY:(.*)/);
+          const vtodo = this._getMaster(ICal.parse(propstats[0]["d:prop"]["cal:calendar-data"] || ""), "VTODO");
+          if (!vtodo || !filter.matches(vtodo)) continue;
+          const due = getICalDate(vtodo, "DUE");
+          const start = getICalDate(vtodo, "DTSTART");
+          const priority = ICal.getValue(vtodo, "PRIORITY");
+          const percent = ICal.getValue(vtodo, "PERCENT-COMPLETE");
+          const created = getICalDate(vtodo, "CREATED");
           allTodos.push({
-            uid: uidMatch ? uidMatch[1].trim() : "No UID",
+            uid: ICal.getText(vtodo, "UID") || "No UID",
             calendar: cal.displayname,
-            summary: summaryMatch ? summaryMatch[1].trim() : "No Title",
-            status: statusMatch ? statusMatch[1].trim() : "NEEDS-ACTION",
-            due: dueMatch ? dueMatch[1].trim() : null,
-            priority: priorityMatch ? parseInt(priorityMatch[1].trim(), 10) : null
+            summary: ICal.getText(vtodo, "SUMMARY") || "No Title",
+            status: ICal.getValue(vtodo, "STATUS") || "NEEDS-ACTION",
+            due: due ? toISODate(due) : ICal.getValue(vtodo, "DUE"),
+            tzid: due ? due.tzid : null,
+            start: start ? toISODate(start) : null,
+            priority: priority ? parseInt(priority, 10) : null,
+            percent: percent ? parseInt(percent, 10) : null,
+            rrule: ICal.getValue(vtodo, "RRULE"),
+            url: ICal.getValue(vtodo, "URL"),
+            categories: ICal.getProperties(vtodo, "CATEGORIES").flatMap((p) => splitICalText(p.value)),
+            parent: this._getParentUid(vtodo),
+            created: created ? toISODate(created) : null,
+            alarms: parseAlarms(vtodo)
           });
         }
       } catch (e) {
       }
     }
-    return allTodos;
+    if (options.sort) this._sortTodos(allTodos, options.sort);
+    return options.tree ? this._nestTodos(allTodos) : allTodos;
+  },
+  // Build the CalDAV prop-filters for a task query, plus a client-side check for what the
+  // server can't filter (priority ranges, exact categories) or may not support
+  _todoFilter(options) {
+    const statuses = {
+      all: null,
+      open: (status) => status !== "COMPLETED" && status !== "CANCELLED",
+      completed: (status) => status === "COMPLETED",
+      "in-process": (status) => status === "IN-PROCESS",
+      "needs-action": (status) => status === "NEEDS-ACTION",
+      cancelled: (status) => status === "CANCELLED"
+    };
+    const statusName = (options.status || "open").toLowerCase();
+    if (!(statusName in statuses)) {
+      throw new Error(`Invalid status '${options.status}'. Use ${Object.keys(statuses).join(", ")}.`);
+    }
+    const timezone = validateTimezone(options.timezone || CONFIG.timezone);
+    let dueAfter = options.dueAfter ? parseDateInput(options.dueAfter, timezone) : null;
+    let dueBefore = options.dueBefore ? parseDateInput(options.dueBefore, timezone) : null;
+    if (options.overdue) dueBefore = dueBefore === null ? Date.now() : Math.min(dueBefore, Date.now());
+    if (options.sort && !["due", "priority", "created"].includes(options.sort)) {
+      throw new Error(`Invalid sort '${options.sort}'. Use due, priority or created.`);
+    }
+    const priorityMax = options.priorityMax !== void 0 ? parseInt(options.priorityMax, 10) : null;
+    if (priorityMax !== null && !(priorityMax >= 1 && priorityMax <= 9)) {
+      throw new Error(`Invalid priority '${options.priorityMax}'. Use 1 (highest) to 9 (lowest).`);
+    }
+    const filters = [];
+    const textMatch = (prop, text) => `
+                            <c:prop-filter name="${prop}">
+                                <c:text-match>${escapeXml(text)}</c:text-match>
+                            </c:prop-filter>`;
+    if (["completed", "in-process", "cancelled"].includes(statusName)) filters.push(textMatch("STATUS", statusName.toUpperCase()));
+    if (dueAfter !== null || dueBefore !== null) {
+      const start = dueAfter !== null ? ` start="${formatICalDate(dueAfter, { utc: true })}"` : "";
+      const end = dueBefore !== null ? ` end="${formatICalDate(dueBefore, { utc: true })}"` : "";
+      filters.push(`
+                            <c:prop-filter name="DUE">
+                                <c:time-range${start}${end} />
+                            </c:prop-filter>`);
+    }
+    if (options.category) filters.push(textMatch("CATEGORIES", options.category));
+    const matches = (vtodo) => {
+      const status = ICal.getValue(vtodo, "STATUS") || "NEEDS-ACTION";
+      if (statuses[statusName] && !statuses[statusName](status.toUpperCase())) return false;
+      if (options.overdue && !statuses.open(status.toUpperCase())) return false;
+      if (dueAfter !== null || dueBefore !== null) {
+        const due = getICalDate(vtodo, "DUE");
+        if (!due || dueAfter !== null && due.instant < dueAfter || dueBefore !== null && due.instant >= dueBefore) return false;
+      }
+      if (priorityMax !== null) {
+        const priority = parseInt(ICal.getValue(vtodo, "PRIORITY") || "0", 10);
+        if (!priority || priority > priorityMax) return false;
+      }
+      if (options.category) {
+        const categories = ICal.getProperties(vtodo, "CATEGORIES").flatMap((p) => splitICalText(p.value));
+        if (!categories.some((c) => c.toLowerCase() === options.category.toLowerCase())) return false;
+      }
+      return true;
+    };
+    return { xml: filters.join(""), matches };
+  },
+  // Sort tasks in place by due date (earliest first), priority (highest first) or creation date.
+  // Tasks without the field go last.
+  _sortTodos(todos, sort) {
+    const keys = {
+      due: (t) => t.due ? parseDateInput(t.due, getDefaultTimezone()) : null,
+      priority: (t) => t.priority || null,
+      created: (t) => t.created ? new Date(t.created).getTime() : null
+    };
+    const key = keys[sort];
+    return todos.sort((a, b) => {
+      const [ka, kb] = [key(a), key(b)];
+      if (ka === null || kb === null) return (ka === null) - (kb === null);
+      return ka - kb;
+    });
+  },
+  // UID of the parent task (RELATED-TO without RELTYPE means PARENT)
+  _getParentUid(vtodo) {
+    const related = ICal.getProperties(vtodo, "RELATED-TO").find((p) => (ICal.getParam(p, "RELTYPE") || "PARENT").toUpperCase() === "PARENT");
+    return related ? unescapeICalText(related.value) : null;
+  },
+  // Nest tasks under their parents. Tasks whose parent isn't in the list (e.g. completed)
+  // or that are part of a RELATED-TO cycle stay at the top level.
+  _nestTodos(todos) {
+    const byUid = new Map(todos.map((t) => [t.uid, { ...t, children: [] }]));
+    const inCycle = (todo) => {
+      const seen = /* @__PURE__ */ new Set();
+      for (let current = todo; current && current.parent; current = byUid.get(current.parent)) {
+        if (seen.has(current.uid)) return true;
+        seen.add(current.uid);
+      }
+      return false;
+    };
+    const roots = [];
+    for (const todo of byUid.values()) {
+      const parent = todo.parent ? byUid.get(todo.parent) : null;
+      if (parent && !inCycle(todo)) parent.children.push(todo);
+      else roots.push(todo);
+    }
+    return roots;
   },
   async getCalendar(calendarName, componentType = null) {
     const calendars = await this.findCalendars(componentType);
@@ -15596,7 +16938,8 @@ var CalDAV = {
             href: responses[0]["d:href"],
             etag: propstats[0]["d:prop"]["d:getetag"],
             data: propstats[0]["d:prop"]["cal:calendar-data"],
-            calendarUrl: cal.url
+            calendarUrl: cal.url,
+            calendar: cal.displayname
           };
         }
       } catch (e) {
@@ -15604,43 +16947,44 @@ var CalDAV = {
     }
     return null;
   },
-  _updateProperty(vcal, prop, value) {
-    const regex = new RegExp(`^${prop}:.*$`, "m");
-    if (value === null || value === void 0) {
-      return vcal;
-    }
-    const newLine = `${prop}:${value}`;
-    if (regex.test(vcal)) {
-      return vcal.replace(regex, newLine);
-    } else {
-      return vcal.replace("END:VTODO", `${newLine}\\nEND:VTODO`);
-    }
+  // Parse a stored calendar object and return it with its main component
+  _parseObject(data, componentType, uid) {
+    const vcalendar = ICal.parse(data || "");
+    const component = this._getMaster(vcalendar, componentType);
+    if (!component) throw new Error(`Could not parse calendar data of ${uid}.`);
+    return { vcalendar, component };
   },
-  async createTask(title, calendarName, dueDate, priority, description) {
+  async createTask(title, calendarName, dueDate, priority, description, options = {}) {
+    const rrule = buildRRule(options.recurrence);
+    if (rrule && !dueDate && !options.start) throw new Error("A repeating task needs --due or --start.");
     const cal = await this.getCalendar(calendarName, "VTODO");
+    const timezone = validateTimezone(options.timezone || CONFIG.timezone);
     const uid = crypto.randomUUID();
-    const now = /* @__PURE__ */ new Date();
-    const dtstamp = (0, import_date_fns.format)(now, "yyyyMMdd'T'HHmmss'Z'");
-    let vtodo = `BEGIN:VCALENDAR
-VERSION:2.0
-PRODID:-//OpenClaw//Nextcloud Skill//EN
-BEGIN:VTODO
-UID:${uid}
-DTSTAMP:${dtstamp}
-SUMMARY:${title}
-STATUS:NEEDS-ACTION
-`;
+    const vcalendar = ICal.calendar();
+    const vtodo = ICal.addComponent(vcalendar, "VTODO");
+    ICal.addProperty(vtodo, "UID", uid);
+    ICal.addProperty(vtodo, "DTSTAMP", formatICalDate(Date.now(), { utc: true }));
+    ICal.addProperty(vtodo, "SUMMARY", escapeICalText(title));
+    ICal.addProperty(vtodo, "STATUS", "NEEDS-ACTION");
     if (dueDate) {
-      const due = new Date(dueDate);
-      vtodo += `DUE:${(0, import_date_fns.format)(due, "yyyyMMdd'T'HHmmss'Z'")}
-`;
+      const due = toICalDateTime(dueDate, timezone);
+      ICal.addProperty(vtodo, "DUE", due.value, due.params);
+      ensureVTimezone(vcalendar, timezone, parseDateInput(dueDate, timezone));
+    }
+    if (priority) ICal.addProperty(vtodo, "PRIORITY", priority);
+    if (description) ICal.addProperty(vtodo, "DESCRIPTION", escapeICalText(description));
+    if (options.parent) {
+      if (!await this.findTaskPath(options.parent, cal.displayname)) {
+        throw new Error(`Parent task ${options.parent} not found in '${cal.displayname}'.`);
+      }
+      ICal.addProperty(vtodo, "RELATED-TO", escapeICalText(options.parent), { RELTYPE: "PARENT" });
+    }
+    this._applyTaskFields(vcalendar, vtodo, options, timezone);
+    if (rrule) ICal.addProperty(vtodo, "RRULE", rrule);
+    for (const alarm of options.alarms || []) {
+      this._checkTaskAlarm(alarm, !!dueDate);
+      vtodo.components.push(buildAlarm(alarm, title, { relatedEnd: true, timezone }));
     }
-    if (priority) vtodo += `PRIORITY:${priority}
-`;
-    if (description) vtodo += `DESCRIPTION:${description}
-`;
-    vtodo += `END:VTODO
-END:VCALENDAR`;
     const filename = `${uid}.ics`;
     const urlWithSlash = cal.url.endsWith("/") ? cal.url : cal.url + "/";
     const endpoint = `${urlWithSlash}${filename}`;
@@ -15650,20 +16994,100 @@ END:VCALENDAR`;
         "Content-Type": "text/calendar; charset=utf-8",
         "If-None-Match": "*"
       },
-      body: vtodo
+      body: ICal.stringify(vcalendar)
     });
-    return { uid, status: "created", calendar: cal.displayname };
+    const result = { uid, status: "created", calendar: cal.displayname };
+    if (rrule) result.rrule = rrule;
+    return result;
+  },
+  async getTask(uid, calendarName, options = {}) {
+    const task = await this.findTaskPath(uid, calendarName);
+    if (!task) throw new Error(`Task ${uid} not found.`);
+    const { vcalendar, component: vtodo } = this._parseObject(task.data, "VTODO", uid);
+    const todos = await this.getTodos(task.calendar, { status: "all" });
+    const result = {
+      ...this._describeTask(vtodo),
+      calendar: task.calendar,
+      children: todos.filter((t) => t.parent === uid).map((t) => ({ uid: t.uid, summary: t.summary, status: t.status })),
+      // Occurrences of a repeating task completed so far
+      completedOccurrences: ICal.findAll(vcalendar, "VTODO").filter((v) => v !== vtodo && ICal.getProperty(v, "RECURRENCE-ID") && ICal.getValue(v, "STATUS") === "COMPLETED").map((v) => ({ recurrenceId: toISODate(getICalDate(v, "RECURRENCE-ID")), ...this._describeTask(v) })),
+      etag: task.etag,
+      href: task.href
+    };
+    if (options.raw) result.ics = task.data.replace(/&#13;/g, "\r");
+    return result;
+  },
+  // All properties of a VTODO we know how to present
+  _describeTask(vtodo) {
+    const timestamp = (name) => {
+      const date = getICalDate(vtodo, name);
+      return date ? toISODate(date) : null;
+    };
+    const due = getICalDate(vtodo, "DUE");
+    const priority = ICal.getValue(vtodo, "PRIORITY");
+    const percent = ICal.getValue(vtodo, "PERCENT-COMPLETE");
+    return {
+      uid: ICal.getText(vtodo, "UID"),
+      summary: ICal.getText(vtodo, "SUMMARY"),
+      description: ICal.getText(vtodo, "DESCRIPTION"),
+      status: ICal.getValue(vtodo, "STATUS") || "NEEDS-ACTION",
+      priority: priority ? parseInt(priority, 10) : null,
+      percent: percent ? parseInt(percent, 10) : null,
+      categories: ICal.getProperties(vtodo, "CATEGORIES").flatMap((p) => splitICalText(p.value)),
+      url: ICal.getValue(vtodo, "URL"),
+      class: ICal.getValue(vtodo, "CLASS"),
+      start: timestamp("DTSTART"),
+      due: timestamp("DUE"),
+      tzid: due ? due.tzid : null,
+      completed: timestamp("COMPLETED"),
+      rrule: ICal.getValue(vtodo, "RRULE"),
+      parent: this._getParentUid(vtodo),
+      alarms: parseAlarms(vtodo),
+      created: timestamp("CREATED"),
+      lastModified: timestamp("LAST-MODIFIED")
+    };
   },
   async updateTask(uid, calendarName, updates) {
     const task = await this.findTaskPath(uid, calendarName);
     if (!task) throw new Error(`Task ${uid} not found.`);
-    let vtodo = task.data;
-    if (updates.title) vtodo = this._updateProperty(vtodo, "SUMMARY", updates.title);
-    if (updates.priority) vtodo = this._updateProperty(vtodo, "PRIORITY", updates.priority);
-    if (updates.description) vtodo = this._updateProperty(vtodo, "DESCRIPTION", updates.description);
+    const { vcalendar, component: vtodo } = this._parseObject(task.data, "VTODO", uid);
+    const timezone = validateTimezone(updates.timezone || CONFIG.timezone);
+    const clear = updates.clear || [];
+    if (clear.some((f) => f.toLowerCase() === "parent")) {
+      vtodo.properties = vtodo.properties.filter((p) => p.name !== "RELATED-TO" || (ICal.getParam(p, "RELTYPE") || "PARENT").toUpperCase() !== "PARENT");
+    }
+    clearProperties(vtodo, clear, {
+      due: ["DUE"],
+      start: ["DTSTART"],
+      priority: ["PRIORITY"],
+      description: ["DESCRIPTION"],
+      categories: ["CATEGORIES"],
+      percent: ["PERCENT-COMPLETE"],
+      url: ["URL"],
+      repeat: ["RRULE", "RDATE", "EXDATE"],
+      parent: []
+      // only the parent relation is removed, see above
+    });
+    if (updates.title) ICal.setProperty(vtodo, "SUMMARY", escapeICalText(updates.title));
+    if (updates.priority) ICal.setProperty(vtodo, "PRIORITY", updates.priority);
+    if (updates.description) ICal.setProperty(vtodo, "DESCRIPTION", escapeICalText(updates.description));
     if (updates.dueDate) {
-      const due = new Date(updates.dueDate);
-      vtodo = this._updateProperty(vtodo, "DUE", (0, import_date_fns.format)(due, "yyyyMMdd'T'HHmmss'Z'"));
+      const due = toICalDateTime(updates.dueDate, timezone);
+      ICal.setProperty(vtodo, "DUE", due.value, due.params);
+      ensureVTimezone(vcalendar, timezone, parseDateInput(updates.dueDate, timezone));
+    }
+    this._applyTaskFields(vcalendar, vtodo, updates, timezone);
+    const rrule = buildRRule(updates.recurrence);
+    if (rrule) ICal.setProperty(vtodo, "RRULE", rrule);
+    if (ICal.getProperty(vtodo, "RRULE") && !ICal.getProperty(vtodo, "DTSTART") && !ICal.getProperty(vtodo, "DUE")) {
+      throw new Error("A repeating task needs a due or start date. Set --due or --start, or --clear repeat.");
+    }
+    for (const alarm of updates.removeAlarms || []) {
+      removeAlarms(vtodo, alarm, { relatedEnd: true, timezone });
+    }
+    for (const alarm of updates.alarms || []) {
+      this._checkTaskAlarm(alarm, !!ICal.getProperty(vtodo, "DUE"));
+      vtodo.components.push(buildAlarm(alarm, ICal.getText(vtodo, "SUMMARY"), { relatedEnd: true, timezone }));
     }
     await request(task.href, {
       method: "PUT",
@@ -15671,10 +17095,48 @@ END:VCALENDAR`;
         "Content-Type": "text/calendar; charset=utf-8",
         "If-Match": task.etag
       },
-      body: vtodo
+      body: ICal.stringify(vcalendar)
     });
     return { uid, status: "updated" };
   },
+  // Categories, start date, progress, status and URL, shared by createTask and updateTask
+  _applyTaskFields(vcalendar, vtodo, fields, timezone) {
+    if (fields.categories !== void 0) {
+      const categories = fields.categories.split(",").map((c) => c.trim()).filter((c) => c);
+      ICal.removeProperty(vtodo, "CATEGORIES");
+      if (categories.length > 0) ICal.addProperty(vtodo, "CATEGORIES", categories.map(escapeICalText).join(","));
+    }
+    if (fields.start) {
+      const start2 = toICalDateTime(fields.start, timezone);
+      ICal.setProperty(vtodo, "DTSTART", start2.value, start2.params);
+      ensureVTimezone(vcalendar, timezone, parseDateInput(fields.start, timezone));
+    }
+    if (fields.percent !== void 0) {
+      const percent = Number(fields.percent);
+      if (!Number.isInteger(percent) || percent < 0 || percent > 100) {
+        throw new Error(`Invalid percent '${fields.percent}'. Use a whole number from 0 to 100.`);
+      }
+      ICal.setProperty(vtodo, "PERCENT-COMPLETE", percent);
+    }
+    if (fields.status) {
+      const status = fields.status.toUpperCase();
+      if (!["NEEDS-ACTION", "IN-PROCESS", "CANCELLED"].includes(status)) {
+        throw new Error(`Invalid status '${fields.status}'. Use needs-action, in-process or cancelled.`);
+      }
+      ICal.setProperty(vtodo, "STATUS", status);
+      ICal.removeProperty(vtodo, "COMPLETED");
+    }
+    if (fields.url) ICal.setProperty(vtodo, "URL", fields.url);
+    const start = getICalDate(vtodo, "DTSTART");
+    const due = getICalDate(vtodo, "DUE");
+    if (start && due && start.instant > due.instant) throw new Error("Task start date must not be after its due date.");
+  },
+  // Relative task reminders are tied to the due date, so the task needs one
+  _checkTaskAlarm(alarm, hasDue) {
+    if (!hasDue && parseDurationInput(alarm.split(";")[0]) !== null) {
+      throw new Error(`Relative reminder '${alarm}' needs a due date. Set --due or use an absolute time.`);
+    }
+  },
   async deleteTask(uid, calendarName) {
     const task = await this.findTaskPath(uid, calendarName);
     if (!task) throw new Error(`Task ${uid} not found.`);
@@ -15683,49 +17145,170 @@ END:VCALENDAR`;
     });
     return { uid, status: "deleted" };
   },
-  async completeTask(uid, calendarName) {
+  async completeTask(uid, calendarName, options = {}) {
+    const task = await this.findTaskPath(uid, calendarName);
+    if (!task) throw new Error(`Task ${uid} not found.`);
+    const { vcalendar, component: vtodo } = this._parseObject(task.data, "VTODO", uid);
+    const next = this._advanceRecurringTask(vcalendar, vtodo);
+    if (!next) {
+      ICal.setProperty(vtodo, "STATUS", "COMPLETED");
+      ICal.setProperty(vtodo, "COMPLETED", formatICalDate(Date.now(), { utc: true }));
+      ICal.setProperty(vtodo, "PERCENT-COMPLETE", "100");
+    }
+    const children = [];
+    const repeating = [];
+    if (options.cascade) {
+      const todos = await this.getTodos(task.calendar, { status: "all" });
+      const visited = /* @__PURE__ */ new Set([uid]);
+      const collect = (parent) => {
+        for (const todo of todos.filter((t) => t.parent === parent && !visited.has(t.uid))) {
+          visited.add(todo.uid);
+          if (todo.status !== "COMPLETED" && todo.status !== "CANCELLED") children.push(todo.uid);
+          collect(todo.uid);
+        }
+      };
+      collect(uid);
+      const done = [];
+      for (const child of children) {
+        let completed;
+        try {
+          completed = await this.completeTask(child, task.calendar);
+        } catch (e) {
+          throw new Error(`Could not complete subtask ${child} (${e.message}). Task ${uid} was not changed; subtasks completed so far: ${done.join(", ") || "none"}.`);
+        }
+        done.push(child);
+        if (completed.next) repeating.push({ uid: child, next: completed.next });
+      }
+    }
+    try {
+      await request(task.href, {
+        method: "PUT",
+        headers: {
+          "Content-Type": "text/calendar; charset=utf-8",
+          "If-Match": task.etag
+        },
+        body: ICal.stringify(vcalendar)
+      });
+    } catch (e) {
+      if (children.length === 0) throw e;
+      throw new Error(`Could not complete task ${uid} (${e.message}), but its subtasks were completed: ${children.join(", ")}.`);
+    }
+    const result = { uid, status: "completed" };
+    if (next) result.next = next;
+    if (options.cascade) result.children = children;
+    if (repeating.length > 0) result.repeating = repeating;
+    return result;
+  },
+  // Roll a repeating task forward: the current occurrence is recorded as a COMPLETED override
+  // (RECURRENCE-ID) and DTSTART/DUE move to the next occurrence. The rule is anchored on
+  // DTSTART, or DUE for tasks without a start. Returns null when there is no next occurrence.
+  _advanceRecurringTask(vcalendar, vtodo) {
+    const rrule = ICal.getValue(vtodo, "RRULE");
+    const anchorName = ICal.getProperty(vtodo, "DTSTART") ? "DTSTART" : "DUE";
+    const anchor = getICalDate(vtodo, anchorName);
+    if (!rrule || !anchor) return null;
+    const freq = parseRRule(rrule).FREQ;
+    if (!["DAILY", "WEEKLY", "MONTHLY", "YEARLY"].includes(freq)) {
+      throw new Error(`Task ${ICal.getValue(vtodo, "UID")} repeats ${freq || "with an unknown frequency"}, which can't be rolled forward. Only daily, weekly, monthly and yearly tasks are supported.`);
+    }
+    const skipped = new Set(getICalDates(vtodo, "EXDATE").map((d) => d.instant));
+    const overrides = ICal.findAll(vcalendar, "VTODO").filter((c) => ICal.getProperty(c, "RECURRENCE-ID"));
+    for (const override of overrides) {
+      if (["COMPLETED", "CANCELLED"].includes(ICal.getValue(override, "STATUS"))) {
+        skipped.add(getICalDate(override, "RECURRENCE-ID").instant);
+      }
+    }
+    const toUtc = (time) => shiftICalDate(anchor, time).instant;
+    const isNext = (time) => time > anchor.time && !skipped.has(toUtc(time));
+    const occurrences = expandRRule(anchor.time, rrule, Infinity, toUtc, isNext);
+    const index = occurrences.findIndex(isNext);
+    if (index === -1) return null;
+    const delta = occurrences[index] - anchor.time;
+    let completed = overrides.find((o) => getICalDate(o, "RECURRENCE-ID").instant === anchor.instant);
+    if (!completed) {
+      completed = {
+        name: "VTODO",
+        properties: vtodo.properties.filter((p) => !["RRULE", "RDATE", "EXDATE", "STATUS", "COMPLETED", "PERCENT-COMPLETE"].includes(p.name)).map((p) => ({ ...p, params: { ...p.params } })),
+        components: []
+      };
+      const anchorProp = ICal.getProperty(vtodo, anchorName);
+      ICal.addProperty(completed, "RECURRENCE-ID", anchorProp.value, { ...anchorProp.params });
+      vcalendar.components.splice(vcalendar.components.indexOf(vtodo) + 1, 0, completed);
+    }
+    ICal.setProperty(completed, "STATUS", "COMPLETED");
+    ICal.setProperty(completed, "COMPLETED", formatICalDate(Date.now(), { utc: true }));
+    ICal.setProperty(completed, "PERCENT-COMPLETE", "100");
+    const next = {};
+    for (const name of ["DTSTART", "DUE"]) {
+      const date = getICalDate(vtodo, name);
+      if (!date) continue;
+      const shifted = shiftICalDate(date, date.time + delta);
+      ICal.getProperty(vtodo, name).value = formatICalDate(shifted.time, { utc: date.utc, dateOnly: date.dateOnly });
+      next[name === "DUE" ? "due" : "start"] = toISODate(shifted);
+    }
+    const count = parseRRule(rrule).COUNT;
+    if (count) ICal.setProperty(vtodo, "RRULE", rrule.replace(/COUNT=\d+/i, `COUNT=${parseInt(count, 10) - index}`));
+    ICal.setProperty(vtodo, "STATUS", "NEEDS-ACTION");
+    ICal.removeProperty(vtodo, "COMPLETED");
+    ICal.removeProperty(vtodo, "PERCENT-COMPLETE");
+    return next;
+  },
+  // Undo completeTask: back to NEEDS-ACTION without completion date or progress
+  async reopenTask(uid, calendarName) {
     const task = await this.findTaskPath(uid, calendarName);
     if (!task) throw new Error(`Task ${uid} not found.`);
-    let vtodo = task.data;
-    const now = /* @__PURE__ */ new Date();
-    const completedDate = (0, import_date_fns.format)(now, "yyyyMMdd'T'HHmmss'Z'");
-    vtodo = this._updateProperty(vtodo, "STATUS", "COMPLETED");
-    vtodo = this._updateProperty(vtodo, "COMPLETED", completedDate);
-    vtodo = this._updateProperty(vtodo, "PERCENT-COMPLETE", "100");
+    const { vcalendar, component: vtodo } = this._parseObject(task.data, "VTODO", uid);
+    ICal.setProperty(vtodo, "STATUS", "NEEDS-ACTION");
+    ICal.removeProperty(vtodo, "COMPLETED");
+    ICal.removeProperty(vtodo, "PERCENT-COMPLETE");
     await request(task.href, {
       method: "PUT",
       headers: {
         "Content-Type": "text/calendar; charset=utf-8",
         "If-Match": task.etag
       },
-      body: vtodo
+      body: ICal.stringify(vcalendar)
     });
-    return { uid, status: "completed" };
+    return { uid, status: "reopened" };
   },
   // --- Calendar Events ---
-  async createEvent(summary, start, end, calendarName, description) {
+  async createEvent(summary, start, end, calendarName, description, options = {}) {
     const cal = await this.getCalendar(calendarName, "VEVENT");
+    const timezone = validateTimezone(options.timezone || CONFIG.timezone);
     const uid = crypto.randomUUID();
-    const now = /* @__PURE__ */ new Date();
-    const dtstamp = (0, import_date_fns.format)(now, "yyyyMMdd'T'HHmmss'Z'");
-    const toCalDavDate = (dateStr) => {
-      const d = new Date(dateStr);
-      return d.toISOString().replace(/[-:]/g, "").split(".")[0] + "Z";
-    };
-    let vevent = `BEGIN:VCALENDAR
-VERSION:2.0
-PRODID:-//OpenClaw//Nextcloud Skill//EN
-BEGIN:VEVENT
-UID:${uid}
-DTSTAMP:${dtstamp}
-SUMMARY:${summary}
-DTSTART:${toCalDavDate(start)}
-DTEND:${toCalDavDate(end)}
-`;
-    if (description) vevent += `DESCRIPTION:${description}
-`;
-    vevent += `END:VEVENT
-END:VCALENDAR`;
+    let dtstart, dtend;
+    if (options.allDay) {
+      const startDay = parseDateOnlyInput(start, timezone);
+      const endDay = end ? parseDateOnlyInput(end, timezone) + DAY_MS : startDay + DAY_MS;
+      [dtstart, dtend] = toICalDateRange(startDay, endDay);
+    } else {
+      dtstart = toICalDateTime(start, timezone);
+      dtend = toICalDateTime(end, timezone);
+    }
+    const vcalendar = ICal.calendar();
+    const vevent = ICal.addComponent(vcalendar, "VEVENT");
+    ICal.addProperty(vevent, "UID", uid);
+    ICal.addProperty(vevent, "DTSTAMP", formatICalDate(Date.now(), { utc: true }));
+    ICal.addProperty(vevent, "SUMMARY", escapeICalText(summary));
+    ICal.addProperty(vevent, "DTSTART", dtstart.value, dtstart.params);
+    ICal.addProperty(vevent, "DTEND", dtend.value, dtend.params);
+    if (description) ICal.addProperty(vevent, "DESCRIPTION", escapeICalText(description));
+    if (options.location) ICal.addProperty(vevent, "LOCATION", escapeICalText(options.location));
+    if (options.url) ICal.addProperty(vevent, "URL", options.url);
+    if (options.organizer) {
+      const organizer = buildCalAddress(options.organizer, "ORGANIZER");
+      ICal.addProperty(vevent, "ORGANIZER", organizer.value, organizer.params);
+    }
+    for (const spec of options.attendees || []) {
+      const attendee = buildCalAddress(spec);
+      ICal.addProperty(vevent, "ATTENDEE", attendee.value, attendee.params);
+    }
+    for (const alarm of options.alarms || []) {
+      vevent.components.push(buildAlarm(alarm, summary, { timezone }));
+    }
+    const rrule = buildRRule(options);
+    if (rrule) ICal.addProperty(vevent, "RRULE", rrule);
+    if (!options.allDay) ensureVTimezone(vcalendar, timezone, parseDateInput(start, timezone));
     const filename = `${uid}.ics`;
     const urlWithSlash = cal.url.endsWith("/") ? cal.url : cal.url + "/";
     const endpoint = `${urlWithSlash}${filename}`;
@@ -15735,9 +17318,12 @@ END:VCALENDAR`;
         "Content-Type": "text/calendar; charset=utf-8",
         "If-None-Match": "*"
       },
-      body: vevent
+      body: ICal.stringify(vcalendar)
     });
-    return { uid, status: "created", calendar: cal.displayname };
+    const result = { uid, status: "created", calendar: cal.displayname };
+    if (options.allDay) result.allDay = true;
+    if (rrule) result.rrule = rrule;
+    return result;
   },
   async findEventPath(uid, calendarName) {
     const calendars = await this.findCalendars("VEVENT");
@@ -15779,7 +17365,8 @@ END:VCALENDAR`;
             href: responses[0]["d:href"],
             etag: propstats[0]["d:prop"]["d:getetag"],
             data: propstats[0]["d:prop"]["cal:calendar-data"],
-            calendarUrl: cal.url
+            calendarUrl: cal.url,
+            calendar: cal.displayname
           };
         }
       } catch (e) {
@@ -15787,32 +17374,142 @@ END:VCALENDAR`;
     }
     return null;
   },
+  async getEvent(uid, calendarName, options = {}) {
+    const event = await this.findEventPath(uid, calendarName);
+    if (!event) throw new Error(`Event ${uid} not found.`);
+    const { vcalendar, component: vevent } = this._parseObject(event.data, "VEVENT", uid);
+    const result = {
+      ...this._describeEvent(vevent),
+      calendar: event.calendar,
+      rrule: ICal.getValue(vevent, "RRULE"),
+      exdates: getICalDates(vevent, "EXDATE").map(toISODate),
+      // Occurrences changed on their own, keyed by the original start they replace
+      overrides: ICal.findAll(vcalendar, "VEVENT").filter((v) => v !== vevent && ICal.getProperty(v, "RECURRENCE-ID")).map((v) => ({ recurrenceId: toISODate(getICalDate(v, "RECURRENCE-ID")), ...this._describeEvent(v) })),
+      etag: event.etag,
+      href: event.href
+    };
+    if (options.raw) result.ics = event.data.replace(/&#13;/g, "\r");
+    return result;
+  },
+  // All properties of a VEVENT we know how to present
+  _describeEvent(vevent) {
+    const start = getICalDate(vevent, "DTSTART");
+    const end = getICalDate(vevent, "DTEND");
+    const timestamp = (name) => {
+      const date = getICalDate(vevent, name);
+      return date ? toISODate(date) : null;
+    };
+    const sequence = ICal.getValue(vevent, "SEQUENCE");
+    return {
+      uid: ICal.getText(vevent, "UID"),
+      summary: ICal.getText(vevent, "SUMMARY"),
+      description: ICal.getText(vevent, "DESCRIPTION"),
+      location: ICal.getText(vevent, "LOCATION"),
+      url: ICal.getValue(vevent, "URL"),
+      status: ICal.getValue(vevent, "STATUS"),
+      transparency: ICal.getValue(vevent, "TRANSP") || "OPAQUE",
+      class: ICal.getValue(vevent, "CLASS"),
+      categories: ICal.getProperties(vevent, "CATEGORIES").flatMap((p) => splitICalText(p.value)),
+      organizer: parseCalAddresses(vevent, "ORGANIZER")[0] || null,
+      attendees: parseCalAddresses(vevent, "ATTENDEE"),
+      alarms: parseAlarms(vevent),
+      start: start ? toISODate(start) : null,
+      end: end ? toISODate(end) : null,
+      duration: ICal.getValue(vevent, "DURATION"),
+      allDay: start ? start.dateOnly : false,
+      tzid: start ? start.tzid : null,
+      sequence: sequence ? parseInt(sequence, 10) : null,
+      created: timestamp("CREATED"),
+      lastModified: timestamp("LAST-MODIFIED")
+    };
+  },
   async updateEvent(uid, calendarName, updates) {
     const event = await this.findEventPath(uid, calendarName);
     if (!event) throw new Error(`Event ${uid} not found.`);
-    let vevent = event.data;
-    if (updates.summary) vevent = this._updateProperty(vevent, "SUMMARY", updates.summary);
-    if (updates.start) {
-      const d = new Date(updates.start);
-      vevent = this._updateProperty(vevent, "DTSTART", d.toISOString().replace(/[-:]/g, "").split(".")[0] + "Z");
-    }
-    if (updates.end) {
-      const d = new Date(updates.end);
-      vevent = this._updateProperty(vevent, "DTEND", d.toISOString().replace(/[-:]/g, "").split(".")[0] + "Z");
+    const { vcalendar, component: vevent } = this._parseObject(event.data, "VEVENT", uid);
+    const clear = updates.clear || [];
+    clearProperties(vevent, clear, {
+      end: ["DTEND", "DURATION"],
+      description: ["DESCRIPTION"],
+      location: ["LOCATION"],
+      url: ["URL"],
+      organizer: ["ORGANIZER"],
+      attendees: ["ATTENDEE"],
+      repeat: ["RRULE", "RDATE", "EXDATE"]
+    });
+    if (clear.some((f) => f.toLowerCase() === "repeat")) {
+      vcalendar.components = vcalendar.components.filter((c) => c.name !== "VEVENT" || c === vevent);
+    }
+    if (updates.summary) ICal.setProperty(vevent, "SUMMARY", escapeICalText(updates.summary));
+    const timezone = validateTimezone(updates.timezone || CONFIG.timezone);
+    if (updates.allDay) {
+      const current2 = getICalDate(vevent, "DTSTART");
+      const currentEnd = getICalDate(vevent, "DTEND");
+      if (!updates.start && !current2) throw new Error(`Event ${uid} has no start date. Provide --start.`);
+      const startDay = updates.start ? parseDateOnlyInput(updates.start, timezone) : current2.time - current2.time % DAY_MS;
+      const days = current2 && currentEnd ? Math.max(1, Math.ceil((currentEnd.time - current2.time) / DAY_MS)) : 1;
+      const endDay = updates.end ? parseDateOnlyInput(updates.end, timezone) + DAY_MS : startDay + days * DAY_MS;
+      const [dtstart, dtend] = toICalDateRange(startDay, endDay);
+      ICal.setProperty(vevent, "DTSTART", dtstart.value, dtstart.params);
+      ICal.setProperty(vevent, "DTEND", dtend.value, dtend.params);
+    }
+    if (updates.start && !updates.allDay) {
+      const dtstart = toICalDateTime(updates.start, timezone);
+      ICal.setProperty(vevent, "DTSTART", dtstart.value, dtstart.params);
+      ensureVTimezone(vcalendar, timezone, parseDateInput(updates.start, timezone));
+    }
+    if (updates.end && !updates.allDay) {
+      const dtend = toICalDateTime(updates.end, timezone);
+      ICal.setProperty(vevent, "DTEND", dtend.value, dtend.params);
+      ensureVTimezone(vcalendar, timezone, parseDateInput(updates.end, timezone));
     }
     if (updates.description !== void 0) {
-      vevent = this._updateProperty(vevent, "DESCRIPTION", updates.description);
+      ICal.setProperty(vevent, "DESCRIPTION", escapeICalText(updates.description));
+    }
+    if (updates.location) ICal.setProperty(vevent, "LOCATION", escapeICalText(updates.location));
+    if (updates.url) ICal.setProperty(vevent, "URL", updates.url);
+    if (updates.organizer) {
+      const organizer = buildCalAddress(updates.organizer, "ORGANIZER");
+      ICal.setProperty(vevent, "ORGANIZER", organizer.value, organizer.params);
+    }
+    for (const email of updates.removeAttendees || []) {
+      for (const component of ICal.findAll(vcalendar, "VEVENT")) {
+        this._setAttendee(component, email.replace(/^mailto:/i, ""), null);
+      }
+    }
+    for (const spec of updates.attendees || []) {
+      const attendee = buildCalAddress(spec);
+      this._setAttendee(vevent, attendee.email, attendee);
+    }
+    for (const alarm of updates.removeAlarms || []) {
+      removeAlarms(vevent, alarm, { timezone });
+    }
+    for (const alarm of updates.alarms || []) {
+      vevent.components.push(buildAlarm(alarm, ICal.getText(vevent, "SUMMARY"), { timezone }));
     }
+    const current = getICalDate(vevent, "DTSTART");
+    const allDay = updates.allDay || (current ? current.dateOnly : false);
+    const rrule = buildRRule({ ...updates.recurrence, allDay });
+    if (rrule) ICal.setProperty(vevent, "RRULE", rrule);
     await request(event.href, {
       method: "PUT",
       headers: {
         "Content-Type": "text/calendar; charset=utf-8",
         "If-Match": event.etag
       },
-      body: vevent
+      body: ICal.stringify(vcalendar)
     });
     return { uid, status: "updated" };
   },
+  // Replace or add the ATTENDEE for an email address (attendee = null removes it).
+  // An existing attendee keeps their participation status.
+  _setAttendee(vevent, email, attendee) {
+    const matches = (p) => p.name === "ATTENDEE" && p.value.replace(/^mailto:/i, "").toLowerCase() === email.toLowerCase();
+    const partstat = ICal.getParam(vevent.properties.find(matches), "PARTSTAT");
+    vevent.properties = vevent.properties.filter((p) => !matches(p));
+    if (!attendee) return;
+    ICal.addProperty(vevent, "ATTENDEE", attendee.value, partstat ? { ...attendee.params, PARTSTAT: partstat } : attendee.params);
+  },
   async deleteEvent(uid, calendarName) {
     const event = await this.findEventPath(uid, calendarName);
     if (!event) throw new Error(`Event ${uid} not found.`);
@@ -15820,6 +17517,227 @@ END:VCALENDAR`;
       method: "DELETE"
     });
     return { uid, status: "deleted" };
+  },
+  // --- Move & Copy ---
+  // Move or copy an event/task to another calendar, keeping its UID and resource name.
+  // Uses WebDAV MOVE/COPY and falls back to PUT (+ DELETE) when the server refuses.
+  async transferObject(componentType, uid, calendarName, targetName, copy = false) {
+    const isTask = componentType === "VTODO";
+    const object = isTask ? await this.findTaskPath(uid, calendarName) : await this.findEventPath(uid, calendarName);
+    if (!object) throw new Error(`${isTask ? "Task" : "Event"} ${uid} not found.`);
+    const target = await this.getCalendar(targetName, componentType);
+    const targetUrl = target.url.endsWith("/") ? target.url : target.url + "/";
+    if (object.calendarUrl === target.url) throw new Error(`${isTask ? "Task" : "Event"} ${uid} is already in '${target.displayname}'.`);
+    const destination = `${targetUrl}${object.href.split("/").pop()}`;
+    const result = { uid, status: copy ? "copied" : "moved", from: object.calendar, to: target.displayname };
+    try {
+      await request(object.href, {
+        method: copy ? "COPY" : "MOVE",
+        headers: { "Destination": `${CONFIG.url}${destination}`, "Overwrite": "F" }
+      });
+      return result;
+    } catch (e) {
+      const refused = ["HTTP 405", "HTTP 501", "HTTP 502"].some((code) => e.message.includes(code));
+      if (!refused && !(!copy && e.message.includes("HTTP 403"))) throw e;
+    }
+    await request(destination, {
+      method: "PUT",
+      headers: {
+        "Content-Type": "text/calendar; charset=utf-8",
+        "If-None-Match": "*"
+      },
+      body: ICal.stringify(ICal.parse(object.data))
+    });
+    if (!copy) {
+      try {
+        await request(object.href, {
+          method: "DELETE",
+          headers: { "If-Match": object.etag }
+        });
+      } catch (e) {
+        try {
+          await request(destination, { method: "DELETE" });
+        } catch (undoError) {
+          throw new Error(`${isTask ? "Task" : "Event"} ${uid} was copied to '${target.displayname}' but could not be removed from '${object.calendar}' (${e.message}). It is now in both calendars.`);
+        }
+        throw new Error(`Could not move ${isTask ? "task" : "event"} ${uid}: ${e.message}`);
+      }
+    }
+    return result;
+  },
+  // --- Free/Busy ---
+  // Busy periods (ms) of the event calendars, or only the named ones, merged and sorted
+  async _getBusyPeriods(rangeStart, rangeEnd, calendarNames = []) {
+    let calendars = await this.findCalendars("VEVENT");
+    for (const name of calendarNames) {
+      if (!calendars.some((c) => c.displayname === name)) throw new Error(`Event-enabled calendar '${name}' not found.`);
+    }
+    if (calendarNames.length > 0) calendars = calendars.filter((c) => calendarNames.includes(c.displayname));
+    const periods = [];
+    for (const cal of calendars) {
+      for (const object of await this._queryObjects(cal, "VEVENT", rangeStart, rangeEnd)) {
+        for (const event of this._expandEvents(object.data, rangeStart, rangeEnd)) {
+          if (!event.busy) continue;
+          let start, end;
+          try {
+            start = parseDateInput(event.start, getDefaultTimezone());
+            end = event.end ? parseDateInput(event.end, getDefaultTimezone()) : start + (event.allDay ? DAY_MS : 0);
+          } catch (e) {
+            continue;
+          }
+          const from = Math.max(start, rangeStart);
+          const until = Math.min(end, rangeEnd);
+          if (until > from) periods.push({ start: from, end: until });
+        }
+      }
+    }
+    const merged = [];
+    for (const period of periods.sort((a, b) => a.start - b.start)) {
+      const last = merged[merged.length - 1];
+      if (last && period.start <= last.end) last.end = Math.max(last.end, period.end);
+      else merged.push({ ...period });
+    }
+    return merged;
+  },
+  async getFreeBusy(start, end, options = {}) {
+    const timezone = validateTimezone(options.timezone || CONFIG.timezone) || getDefaultTimezone();
+    const rangeStart = parseDateInput(start, timezone);
+    const rangeEnd = parseDateInput(end, timezone);
+    if (rangeEnd <= rangeStart) throw new Error("--to must be after --from.");
+    const busy = await this._getBusyPeriods(rangeStart, rangeEnd, options.calendars || []);
+    return {
+      from: formatInstant(rangeStart, timezone),
+      to: formatInstant(rangeEnd, timezone),
+      timezone,
+      busy: busy.map((p) => ({ start: formatInstant(p.start, timezone), end: formatInstant(p.end, timezone) }))
+    };
+  },
+  // First free windows of at least `duration` ms between start and end, optionally only
+  // within daily working hours (in the given timezone)
+  async findFreeSlots(duration, start, end, options = {}) {
+    const timezone = validateTimezone(options.timezone || CONFIG.timezone) || getDefaultTimezone();
+    const rangeStart = parseDateInput(start, timezone);
+    const rangeEnd = parseDateInput(end, timezone);
+    if (rangeEnd <= rangeStart) throw new Error("--to must be after --from.");
+    const limit = options.limit || 5;
+    let windows = [[rangeStart, rangeEnd]];
+    if (options.workingHours) {
+      const [dayStart, dayEnd] = parseWorkingHours(options.workingHours);
+      const toWall = (instant) => instant + getTimezoneOffset(instant, timezone);
+      windows = [];
+      for (let day = toWall(rangeStart) - toWall(rangeStart) % DAY_MS; day < toWall(rangeEnd); day += DAY_MS) {
+        const from = Math.max(zonedToUtc(day + dayStart, timezone), rangeStart);
+        const until = Math.min(zonedToUtc(day + dayEnd, timezone), rangeEnd);
+        if (until > from) windows.push([from, until]);
+      }
+    }
+    const busy = await this._getBusyPeriods(rangeStart, rangeEnd, options.calendars || []);
+    const slots = [];
+    for (const [from, until] of windows) {
+      let cursor = from;
+      for (const period of busy) {
+        if (period.end <= cursor) continue;
+        if (period.start >= until) break;
+        if (period.start - cursor >= duration) slots.push([cursor, period.start]);
+        cursor = period.end;
+      }
+      if (until - cursor >= duration) slots.push([cursor, until]);
+      if (slots.length >= limit) break;
+    }
+    return slots.slice(0, limit).map(([from, until]) => ({
+      start: formatInstant(from, timezone),
+      end: formatInstant(until, timezone),
+      minutes: Math.floor((until - from) / 6e4)
+    }));
+  },
+  // --- Import & Export ---
+  // Merge the events of a calendar into a single VCALENDAR, sharing one copy of each VTIMEZONE.
+  // start/end without an offset are read in options.timezone (default NEXTCLOUD_TZ).
+  async exportCalendar(calendarName, start = null, end = null, options = {}) {
+    const timezone = validateTimezone(options.timezone || CONFIG.timezone) || getDefaultTimezone();
+    const rangeStart = start ? parseDateInput(start, timezone) : null;
+    const rangeEnd = end ? parseDateInput(end, timezone) : null;
+    if (rangeStart !== null && rangeEnd !== null && rangeEnd <= rangeStart) throw new Error("--to must be after --from.");
+    const cal = await this.getCalendar(calendarName, "VEVENT");
+    const objects = await this._queryObjects(cal, "VEVENT", rangeStart, rangeEnd);
+    const vcalendar = ICal.calendar();
+    ICal.addProperty(vcalendar, "X-WR-CALNAME", escapeICalText(cal.displayname || ""));
+    const timezones = /* @__PURE__ */ new Map();
+    const components = [];
+    for (const object of objects) {
+      const parsed = ICal.parse(object.data);
+      if (!parsed) continue;
+      for (const component of parsed.components) {
+        if (component.name !== "VTIMEZONE") components.push(component);
+        else if (!timezones.has(ICal.getValue(component, "TZID"))) timezones.set(ICal.getValue(component, "TZID"), component);
+      }
+    }
+    vcalendar.components.push(...timezones.values(), ...components);
+    return { calendar: cal.displayname, events: objects.length, ics: ICal.stringify(vcalendar) };
+  },
+  // Store each UID of an ICS file as its own calendar object. Events already in the
+  // calendar are replaced, identical ones and components that are not events are skipped.
+  async importCalendar(calendarName, ics) {
+    const cal = await this.getCalendar(calendarName, "VEVENT");
+    const vcalendars = ICal.parseAll(ics).filter((c) => c.name === "VCALENDAR");
+    if (vcalendars.length === 0) throw new Error("No VCALENDAR found in the ICS data.");
+    const result = { calendar: cal.displayname, created: 0, updated: 0, skipped: 0, errors: [] };
+    const timezones = /* @__PURE__ */ new Map();
+    const groups = /* @__PURE__ */ new Map();
+    for (const vcalendar of vcalendars) {
+      for (const component of vcalendar.components) {
+        const uid = ICal.getText(component, "UID");
+        if (component.name === "VTIMEZONE") {
+          timezones.set(ICal.getValue(component, "TZID"), component);
+        } else if (component.name !== "VEVENT" || !uid) {
+          result.skipped++;
+        } else {
+          if (!groups.has(uid)) groups.set(uid, []);
+          groups.get(uid).push(component);
+        }
+      }
+    }
+    const existing = /* @__PURE__ */ new Map();
+    for (const object of await this._queryObjects(cal, "VEVENT")) {
+      const parsed = ICal.parse(object.data);
+      const master = this._getMaster(parsed, "VEVENT");
+      if (master) existing.set(ICal.getText(master, "UID"), { ...object, vevents: ICal.findAll(parsed, "VEVENT") });
+    }
+    const urlWithSlash = cal.url.endsWith("/") ? cal.url : cal.url + "/";
+    const sameEvents = (a, b) => a.length === b.length && a.every((c, i) => ICal.stringify(c) === ICal.stringify(b[i]));
+    for (const [uid, vevents] of groups) {
+      const current = existing.get(uid);
+      if (current && sameEvents(current.vevents, vevents)) {
+        result.skipped++;
+        continue;
+      }
+      const vcalendar = ICal.calendar();
+      const tzids = new Set(vevents.flatMap((v) => this._collectTzids(v)));
+      for (const tzid of tzids) {
+        if (timezones.has(tzid)) vcalendar.components.push(timezones.get(tzid));
+      }
+      vcalendar.components.push(...vevents);
+      try {
+        await request(current ? current.href : `${urlWithSlash}${encodeURIComponent(uid)}.ics`, {
+          method: "PUT",
+          headers: {
+            "Content-Type": "text/calendar; charset=utf-8",
+            ...current ? { "If-Match": current.etag } : { "If-None-Match": "*" }
+          },
+          body: ICal.stringify(vcalendar)
+        });
+        if (current) result.updated++;
+        else result.created++;
+      } catch (e) {
+        result.errors.push({ uid, message: e.message });
+      }
+    }
+    return result;
+  },
+  // TZIDs referenced by a component and its sub-components
+  _collectTzids(component) {
+    const tzids = component.properties.map((p) => ICal.getParam(p, "TZID")).filter((tzid) => tzid);
+    return tzids.concat(...component.components.map((c) => this._collectTzids(c)));
   }
 };
 var Contacts = {
@@ -16040,10 +17958,26 @@ FN:${fullName}
 END:VCARD`);
     }
   },
+  // Remove every line of a field, including folded continuation lines and grouped
+  // variants such as item1.EMAIL. The rest of such a group (e.g. item1.X-ABLABEL) goes too.
+  _removeVCardField(vcard, field) {
+    const line = (name) => new RegExp(`^${name}(?:;[^:\\n]*)?:.*(?:\\r?\\n[ \\t].*)*(?:\\r?\\n|$)`, "gmi");
+    const groups = /* @__PURE__ */ new Set();
+    for (const match of vcard.matchAll(new RegExp(`^([\\w-]+)\\.${field}[;:]`, "gmi"))) groups.add(match[1]);
+    vcard = vcard.replace(line(`(?:[\\w-]+\\.)?${field}`), "");
+    for (const group of groups) vcard = vcard.replace(line(`${group}\\.[\\w-]+`), "");
+    return vcard;
+  },
   async update(uid, addressBookName, updates) {
     const contact = await this.findContactPath(uid, addressBookName);
     if (!contact) throw new Error(`Contact ${uid} not found.`);
     let vcard = contact.data;
+    const clearable = { email: "EMAIL", phone: "TEL", organization: "ORG", title: "TITLE", note: "NOTE" };
+    for (const field of updates.clear || []) {
+      const name = clearable[field.toLowerCase()];
+      if (!name) throw new Error(`Cannot clear '${field}'. Use ${Object.keys(clearable).join(", ")}.`);
+      vcard = this._removeVCardField(vcard, name);
+    }
     if (updates.fullName) {
       vcard = this._updateVCardField(vcard, "FN", updates.fullName);
       const nameParts = updates.fullName.split(" ");
@@ -16132,6 +18066,114 @@ END:VCARD`);
     return allContacts;
   }
 };
+var SHARE_TYPES = { user: 0, group: 1, link: 3, email: 4, federated: 6, circle: 7, talk: 10 };
+var SHARE_PERMISSIONS = { read: 1, update: 2, create: 4, delete: 8, share: 16 };
+var Shares = {
+  // OCS calls report errors in the response body, so read it before checking the status
+  async _request(endpoint, options = {}) {
+    const url = `${CONFIG.url}/ocs/v2.php/apps/files_sharing/api/v1/shares${endpoint}`;
+    const headers = {
+      "Authorization": AUTH_HEADER,
+      "User-Agent": "OpenClaw-Nextcloud-Skill",
+      "OCS-APIRequest": "true",
+      "Accept": "application/json",
+      ...options.headers
+    };
+    if (options.body) headers["Content-Type"] = "application/json";
+    let response, data = null;
+    try {
+      response = await fetch(url, { ...options, headers, body: options.body ? JSON.stringify(options.body) : void 0 });
+      data = await response.json().catch(() => null);
+    } catch (error) {
+      throw new Error(`Request failed: ${error.message}`);
+    }
+    const meta = data && data.ocs ? data.ocs.meta : null;
+    if (!response.ok || !meta || ![100, 200].includes(meta.statuscode)) {
+      const message = meta && meta.message ? meta.message : response.statusText;
+      throw new Error(`Request failed: HTTP ${response.status}: ${message}`);
+    }
+    return data.ocs.data;
+  },
+  async list(filePath = null) {
+    const query = filePath ? `?path=${encodeURIComponent("/" + filePath.replace(/^\/+/, ""))}` : "";
+    const shares = await this._request(query);
+    return ensureArray(shares).map((s) => this._toShare(s));
+  },
+  async create(filePath, type, options = {}) {
+    const shareType = SHARE_TYPES[String(type).toLowerCase()];
+    if (![0, 1, 3, 4].includes(shareType)) throw new Error(`Invalid share type '${type}'. Use link, user, group or email.`);
+    if (shareType !== SHARE_TYPES.link && !options.with) throw new Error(`A ${type} share needs --with.`);
+    const body = { path: "/" + filePath.replace(/^\/+/, ""), shareType };
+    if (options.with) body.shareWith = options.with;
+    Object.assign(body, this._shareFields(options));
+    return this._toShare(await this._request("", { method: "POST", body }));
+  },
+  async update(id, updates = {}) {
+    const body = this._shareFields(updates);
+    const clearable = { expire: "expireDate", password: "password", note: "note", label: "label" };
+    for (const field of updates.clear || []) {
+      const key = clearable[field.toLowerCase()];
+      if (!key) throw new Error(`Cannot clear '${field}'. Use ${Object.keys(clearable).join(", ")}.`);
+      body[key] = "";
+    }
+    if (Object.keys(body).length === 0) throw new Error("Nothing to update. Provide --permissions, --password, --expire, --note, --label or --clear.");
+    return this._toShare(await this._request(`/${encodeURIComponent(id)}`, { method: "PUT", body }));
+  },
+  async delete(id) {
+    await this._request(`/${encodeURIComponent(id)}`, { method: "DELETE" });
+    return { id: String(id), status: "deleted" };
+  },
+  // Options shared by create and update, in OCS parameter names
+  _shareFields(options) {
+    const fields = {};
+    if (options.permissions !== void 0) fields.permissions = this._parsePermissions(options.permissions);
+    if (options.password) fields.password = options.password;
+    if (options.expire) {
+      const timezone = validateTimezone(CONFIG.timezone);
+      fields.expireDate = /^\d{4}-\d{2}-\d{2}$/.test(options.expire) ? options.expire : formatInstant(parseDateInput(options.expire, timezone), timezone).slice(0, 10);
+    }
+    if (options.note) fields.note = options.note;
+    if (options.label) fields.label = options.label;
+    return fields;
+  },
+  // Permissions as a number (1-31) or names, e.g. read,update or all
+  _parsePermissions(spec) {
+    const value = String(spec).trim().toLowerCase();
+    if (/^\d+$/.test(value)) {
+      const number = parseInt(value, 10);
+      if (number < 1 || number > 31) throw new Error(`Invalid permissions '${spec}'. Use 1-31 or names like read,update.`);
+      return number;
+    }
+    if (value === "all") return 31;
+    return value.split(",").map((p) => p.trim()).reduce((sum, name) => {
+      if (!(name in SHARE_PERMISSIONS)) {
+        throw new Error(`Invalid permission '${name}'. Use ${Object.keys(SHARE_PERMISSIONS).join(", ")} or all.`);
+      }
+      return sum | SHARE_PERMISSIONS[name];
+    }, 0);
+  },
+  _toShare(s) {
+    const type = Object.keys(SHARE_TYPES).find((name) => SHARE_TYPES[name] === s.share_type);
+    return {
+      id: String(s.id),
+      type: type || s.share_type,
+      path: s.path,
+      itemType: s.item_type,
+      shareWith: s.share_with || null,
+      shareWithName: s.share_with_displayname || null,
+      url: s.url || null,
+      token: s.token || null,
+      permissions: s.permissions,
+      permissionNames: Object.keys(SHARE_PERMISSIONS).filter((name) => s.permissions & SHARE_PERMISSIONS[name]),
+      expiration: s.expiration ? s.expiration.slice(0, 10) : null,
+      hasPassword: !!s.password,
+      note: s.note || null,
+      label: s.label || null,
+      owner: s.uid_owner,
+      created: s.stime ? new Date(s.stime * 1e3).toISOString() : null
+    };
+  }
+};
 async function main() {
   const args = process.argv.slice(2);
   const command = args[0];
@@ -16182,28 +18224,85 @@ async function main() {
         throw new Error("Unknown notes command");
       }
     } else if (command === "files") {
-      if (subCommand === "list") {
+      if (subCommand === "list" || subCommand === "tree") {
         const pathIndex = args.indexOf("--path");
-        const path = pathIndex !== -1 ? args[pathIndex + 1] : "/";
-        const result = await Files.list(path);
-        output(result);
+        const path2 = pathIndex !== -1 ? args[pathIndex + 1] : "/";
+        const options = {};
+        const depthIndex = args.indexOf("--max-depth");
+        if (depthIndex !== -1) {
+          options.maxDepth = parseInt(args[depthIndex + 1], 10);
+          if (!(options.maxDepth > 0)) throw new Error(`Invalid --max-depth '${args[depthIndex + 1]}'.`);
+        }
+        if (subCommand === "tree") output(await Files.tree(path2, options));
+        else if (args.includes("--recursive")) output(await Files.walk(path2, options));
+        else output(await Files.list(path2));
       } else if (subCommand === "search") {
         const queryIndex = args.indexOf("--query");
-        if (queryIndex === -1) throw new Error("Missing --query");
-        const result = await Files.search(args[queryIndex + 1]);
+        const query = queryIndex !== -1 ? args[queryIndex + 1] : null;
+        const options = {};
+        const flags = {
+          "--in": "folder",
+          "--mime": "mime",
+          "--modified-after": "modifiedAfter",
+          "--modified-before": "modifiedBefore",
+          "--min-size": "minSize",
+          "--max-size": "maxSize",
+          "--limit": "limit",
+          "--order-by": "orderBy"
+        };
+        for (const [flag, key] of Object.entries(flags)) {
+          const index = args.indexOf(flag);
+          if (index !== -1) options[key] = args[index + 1];
+        }
+        const result = await Files.search(query, options);
         output(result);
       } else if (subCommand === "upload") {
         const pathIndex = args.indexOf("--path");
         if (pathIndex === -1) throw new Error("Missing --path");
         const filePath = args[pathIndex + 1];
-        const contentIndex = args.indexOf("--content");
-        if (contentIndex === -1) throw new Error("Missing --content");
-        const content = args[contentIndex + 1];
-        output(await Files.upload(filePath, content));
+        const fileIndex = args.indexOf("--file");
+        if (fileIndex !== -1) {
+          const options = {};
+          const chunkIndex = args.indexOf("--chunk-size");
+          if (chunkIndex !== -1) {
+            const megabytes = Number(args[chunkIndex + 1]);
+            if (!(megabytes >= 5 && megabytes <= 5120)) throw new Error(`Invalid --chunk-size '${args[chunkIndex + 1]}'. Use 5 to 5120 (MB).`);
+            options.chunkSize = Math.floor(megabytes * 1024 * 1024);
+          }
+          output(await Files.uploadFile(filePath, args[fileIndex + 1], options));
+        } else {
+          const contentIndex = args.indexOf("--content");
+          if (contentIndex === -1) throw new Error("Missing --content or --file");
+          output(await Files.upload(filePath, args[contentIndex + 1]));
+        }
       } else if (subCommand === "get") {
         const pathIndex = args.indexOf("--path");
         if (pathIndex === -1) throw new Error("Missing --path");
         output(await Files.get(args[pathIndex + 1]));
+      } else if (subCommand === "info") {
+        const pathIndex = args.indexOf("--path");
+        if (pathIndex === -1) throw new Error("Missing --path");
+        output(await Files.info(args[pathIndex + 1]));
+      } else if (subCommand === "download") {
+        const pathIndex = args.indexOf("--path");
+        if (pathIndex === -1) throw new Error("Missing --path");
+        const remotePath = args[pathIndex + 1];
+        const outIndex = args.indexOf("--out");
+        const outPath = outIndex !== -1 ? args[outIndex + 1] : path.basename(remotePath);
+        output(await Files.download(remotePath, outPath));
+      } else if (subCommand === "move" || subCommand === "copy") {
+        const fromIndex = args.indexOf("--from");
+        if (fromIndex === -1) throw new Error("Missing --from");
+        const toIndex = args.indexOf("--to");
+        if (toIndex === -1) throw new Error("Missing --to");
+        output(await Files.transfer(args[fromIndex + 1], args[toIndex + 1], {
+          copy: subCommand === "copy",
+          overwrite: args.includes("--overwrite")
+        }));
+      } else if (subCommand === "mkdir") {
+        const pathIndex = args.indexOf("--path");
+        if (pathIndex === -1) throw new Error("Missing --path");
+        output(await Files.mkdir(args[pathIndex + 1], { parents: args.includes("--parents") }));
       } else if (subCommand === "delete") {
         const pathIndex = args.indexOf("--path");
         if (pathIndex === -1) throw new Error("Missing --path");
@@ -16226,14 +18325,27 @@ async function main() {
         const startIndex = args.indexOf("--start");
         if (startIndex === -1) throw new Error("Missing --start");
         const start = args[startIndex + 1];
+        const allDay = args.includes("--all-day");
         const endIndex = args.indexOf("--end");
-        if (endIndex === -1) throw new Error("Missing --end");
-        const end = args[endIndex + 1];
+        if (endIndex === -1 && !allDay) throw new Error("Missing --end");
+        const end = endIndex !== -1 ? args[endIndex + 1] : null;
         const calIndex = args.indexOf("--calendar");
         const calendar = calIndex !== -1 ? args[calIndex + 1] : null;
         const descIndex = args.indexOf("--description");
         const description = descIndex !== -1 ? args[descIndex + 1] : null;
-        output(await CalDAV.createEvent(summary, start, end, calendar, description));
+        const options = getRecurrenceOptions(args);
+        const tzIndex = args.indexOf("--tz");
+        if (tzIndex !== -1) options.timezone = args[tzIndex + 1];
+        if (allDay) options.allDay = true;
+        const locationIndex = args.indexOf("--location");
+        if (locationIndex !== -1) options.location = args[locationIndex + 1];
+        const urlIndex = args.indexOf("--url");
+        if (urlIndex !== -1) options.url = args[urlIndex + 1];
+        const organizerIndex = args.indexOf("--organizer");
+        if (organizerIndex !== -1) options.organizer = args[organizerIndex + 1];
+        options.attendees = getArgValues(args, "--attendee");
+        options.alarms = getArgValues(args, "--alarm");
+        output(await CalDAV.createEvent(summary, start, end, calendar, description, options));
       } else if (subCommand === "edit") {
         const uidIndex = args.indexOf("--uid");
         if (uidIndex === -1) throw new Error("Missing --uid");
@@ -16249,7 +18361,29 @@ async function main() {
         if (endIndex !== -1) updates.end = args[endIndex + 1];
         const descIndex = args.indexOf("--description");
         if (descIndex !== -1) updates.description = args[descIndex + 1];
+        const tzIndex = args.indexOf("--tz");
+        if (tzIndex !== -1) updates.timezone = args[tzIndex + 1];
+        if (args.includes("--all-day")) updates.allDay = true;
+        const locationIndex = args.indexOf("--location");
+        if (locationIndex !== -1) updates.location = args[locationIndex + 1];
+        const urlIndex = args.indexOf("--url");
+        if (urlIndex !== -1) updates.url = args[urlIndex + 1];
+        const organizerIndex = args.indexOf("--organizer");
+        if (organizerIndex !== -1) updates.organizer = args[organizerIndex + 1];
+        updates.attendees = getArgValues(args, "--attendee");
+        updates.removeAttendees = getArgValues(args, "--remove-attendee");
+        updates.alarms = getArgValues(args, "--alarm");
+        updates.removeAlarms = getArgValues(args, "--remove-alarm");
+        updates.recurrence = getRecurrenceOptions(args);
+        updates.clear = getArgValues(args, "--clear");
         output(await CalDAV.updateEvent(uid, calendar, updates));
+      } else if (subCommand === "get") {
+        const uidIndex = args.indexOf("--uid");
+        if (uidIndex === -1) throw new Error("Missing --uid");
+        const uid = args[uidIndex + 1];
+        const calIndex = args.indexOf("--calendar");
+        const calendar = calIndex !== -1 ? args[calIndex + 1] : null;
+        output(await CalDAV.getEvent(uid, calendar, { raw: args.includes("--raw") }));
       } else if (subCommand === "delete") {
         const uidIndex = args.indexOf("--uid");
         if (uidIndex === -1) throw new Error("Missing --uid");
@@ -16257,6 +18391,68 @@ async function main() {
         const calIndex = args.indexOf("--calendar");
         const calendar = calIndex !== -1 ? args[calIndex + 1] : null;
         output(await CalDAV.deleteEvent(uid, calendar));
+      } else if (subCommand === "move" || subCommand === "copy") {
+        const uidIndex = args.indexOf("--uid");
+        if (uidIndex === -1) throw new Error("Missing --uid");
+        const toIndex = args.indexOf("--to");
+        if (toIndex === -1) throw new Error("Missing --to");
+        const calIndex = args.indexOf("--calendar");
+        const calendar = calIndex !== -1 ? args[calIndex + 1] : null;
+        output(await CalDAV.transferObject("VEVENT", args[uidIndex + 1], calendar, args[toIndex + 1], subCommand === "copy"));
+      } else if (subCommand === "search") {
+        const queryIndex = args.indexOf("--query");
+        if (queryIndex === -1) throw new Error("Missing --query");
+        const options = {};
+        const fromIndex = args.indexOf("--from");
+        if (fromIndex !== -1) options.start = args[fromIndex + 1];
+        const toIndex = args.indexOf("--to");
+        if (toIndex !== -1) options.end = args[toIndex + 1];
+        const calIndex = args.indexOf("--calendar");
+        if (calIndex !== -1) options.calendar = args[calIndex + 1];
+        output(await CalDAV.searchEvents(args[queryIndex + 1], options));
+      } else if (subCommand === "freebusy" || subCommand === "find-slot") {
+        const fromIndex = args.indexOf("--from");
+        const toIndex = args.indexOf("--to");
+        const start = fromIndex !== -1 ? args[fromIndex + 1] : (0, import_date_fns.formatISO)(/* @__PURE__ */ new Date());
+        const end = toIndex !== -1 ? args[toIndex + 1] : (0, import_date_fns.formatISO)((0, import_date_fns.addDays)(/* @__PURE__ */ new Date(), 7));
+        const options = { calendars: getArgValues(args, "--calendar") };
+        const tzIndex = args.indexOf("--tz");
+        if (tzIndex !== -1) options.timezone = args[tzIndex + 1];
+        if (subCommand === "freebusy") {
+          output(await CalDAV.getFreeBusy(start, end, options));
+        } else {
+          const durationIndex = args.indexOf("--duration");
+          if (durationIndex === -1) throw new Error("Missing --duration");
+          const duration = parseDurationInput(args[durationIndex + 1]);
+          if (!duration || duration < 0) throw new Error(`Invalid duration '${args[durationIndex + 1]}'. Use e.g. 30m or 1h30m.`);
+          const hoursIndex = args.indexOf("--working-hours");
+          if (hoursIndex !== -1) options.workingHours = args[hoursIndex + 1];
+          const limitIndex = args.indexOf("--limit");
+          if (limitIndex !== -1) options.limit = parseInt(args[limitIndex + 1], 10);
+          output(await CalDAV.findFreeSlots(duration, start, end, options));
+        }
+      } else if (subCommand === "export") {
+        const calIndex = args.indexOf("--calendar");
+        if (calIndex === -1) throw new Error("Missing --calendar");
+        const outIndex = args.indexOf("--out");
+        if (outIndex === -1) throw new Error("Missing --out");
+        const outPath = args[outIndex + 1];
+        const fromIndex = args.indexOf("--from");
+        const toIndex = args.indexOf("--to");
+        const start = fromIndex !== -1 ? args[fromIndex + 1] : null;
+        const end = toIndex !== -1 ? args[toIndex + 1] : null;
+        const tzIndex = args.indexOf("--tz");
+        const options = tzIndex !== -1 ? { timezone: args[tzIndex + 1] } : {};
+        const result = await CalDAV.exportCalendar(args[calIndex + 1], start, end, options);
+        fs.writeFileSync(outPath, result.ics);
+        output({ calendar: result.calendar, events: result.events, file: path.resolve(outPath) });
+      } else if (subCommand === "import") {
+        const calIndex = args.indexOf("--calendar");
+        if (calIndex === -1) throw new Error("Missing --calendar");
+        const fileIndex = args.indexOf("--file");
+        if (fileIndex === -1) throw new Error("Missing --file");
+        const ics = fs.readFileSync(args[fileIndex + 1], "utf8");
+        output(await CalDAV.importCalendar(args[calIndex + 1], ics));
       } else {
         throw new Error("Unknown calendar command");
       }
@@ -16264,7 +18460,22 @@ async function main() {
       if (subCommand === "list") {
         const calIndex = args.indexOf("--calendar");
         const calendar = calIndex !== -1 ? args[calIndex + 1] : null;
-        const result = await CalDAV.getTodos(calendar);
+        const options = { tree: args.includes("--tree"), overdue: args.includes("--overdue") };
+        const statusIndex = args.indexOf("--status");
+        if (statusIndex !== -1) options.status = args[statusIndex + 1];
+        const dueBeforeIndex = args.indexOf("--due-before");
+        if (dueBeforeIndex !== -1) options.dueBefore = args[dueBeforeIndex + 1];
+        const dueAfterIndex = args.indexOf("--due-after");
+        if (dueAfterIndex !== -1) options.dueAfter = args[dueAfterIndex + 1];
+        const priorityIndex = args.indexOf("--priority-max");
+        if (priorityIndex !== -1) options.priorityMax = args[priorityIndex + 1];
+        const categoryIndex = args.indexOf("--category");
+        if (categoryIndex !== -1) options.category = args[categoryIndex + 1];
+        const sortIndex = args.indexOf("--sort");
+        if (sortIndex !== -1) options.sort = args[sortIndex + 1];
+        const tzIndex = args.indexOf("--tz");
+        if (tzIndex !== -1) options.timezone = args[tzIndex + 1];
+        const result = await CalDAV.getTodos(calendar, options);
         output(result);
       } else if (subCommand === "create") {
         const titleIndex = args.indexOf("--title");
@@ -16278,7 +18489,24 @@ async function main() {
         const priority = prioIndex !== -1 ? args[prioIndex + 1] : null;
         const descIndex = args.indexOf("--description");
         const description = descIndex !== -1 ? args[descIndex + 1] : null;
-        output(await CalDAV.createTask(title, calendar, dueDate, priority, description));
+        const options = {};
+        const tzIndex = args.indexOf("--tz");
+        if (tzIndex !== -1) options.timezone = args[tzIndex + 1];
+        options.alarms = getArgValues(args, "--alarm");
+        const parentIndex = args.indexOf("--parent");
+        if (parentIndex !== -1) options.parent = args[parentIndex + 1];
+        const categoriesIndex = args.indexOf("--categories");
+        if (categoriesIndex !== -1) options.categories = args[categoriesIndex + 1];
+        const startIndex = args.indexOf("--start");
+        if (startIndex !== -1) options.start = args[startIndex + 1];
+        const percentIndex = args.indexOf("--percent");
+        if (percentIndex !== -1) options.percent = args[percentIndex + 1];
+        const statusIndex = args.indexOf("--status");
+        if (statusIndex !== -1) options.status = args[statusIndex + 1];
+        const urlIndex = args.indexOf("--url");
+        if (urlIndex !== -1) options.url = args[urlIndex + 1];
+        options.recurrence = getRecurrenceOptions(args);
+        output(await CalDAV.createTask(title, calendar, dueDate, priority, description, options));
       } else if (subCommand === "edit") {
         const uidIndex = args.indexOf("--uid");
         if (uidIndex === -1) throw new Error("Missing --uid");
@@ -16294,6 +18522,22 @@ async function main() {
         if (prioIndex !== -1) updates.priority = args[prioIndex + 1];
         const descIndex = args.indexOf("--description");
         if (descIndex !== -1) updates.description = args[descIndex + 1];
+        const tzIndex = args.indexOf("--tz");
+        if (tzIndex !== -1) updates.timezone = args[tzIndex + 1];
+        updates.alarms = getArgValues(args, "--alarm");
+        updates.removeAlarms = getArgValues(args, "--remove-alarm");
+        const categoriesIndex = args.indexOf("--categories");
+        if (categoriesIndex !== -1) updates.categories = args[categoriesIndex + 1];
+        const startIndex = args.indexOf("--start");
+        if (startIndex !== -1) updates.start = args[startIndex + 1];
+        const percentIndex = args.indexOf("--percent");
+        if (percentIndex !== -1) updates.percent = args[percentIndex + 1];
+        const statusIndex = args.indexOf("--status");
+        if (statusIndex !== -1) updates.status = args[statusIndex + 1];
+        const urlIndex = args.indexOf("--url");
+        if (urlIndex !== -1) updates.url = args[urlIndex + 1];
+        updates.recurrence = getRecurrenceOptions(args);
+        updates.clear = getArgValues(args, "--clear");
         output(await CalDAV.updateTask(uid, calendar, updates));
       } else if (subCommand === "delete") {
         const uidIndex = args.indexOf("--uid");
@@ -16308,7 +18552,27 @@ async function main() {
         const uid = args[uidIndex + 1];
         const calIndex = args.indexOf("--calendar");
         const calendar = calIndex !== -1 ? args[calIndex + 1] : null;
-        output(await CalDAV.completeTask(uid, calendar));
+        output(await CalDAV.completeTask(uid, calendar, { cascade: args.includes("--cascade") }));
+      } else if (subCommand === "get") {
+        const uidIndex = args.indexOf("--uid");
+        if (uidIndex === -1) throw new Error("Missing --uid");
+        const calIndex = args.indexOf("--calendar");
+        const calendar = calIndex !== -1 ? args[calIndex + 1] : null;
+        output(await CalDAV.getTask(args[uidIndex + 1], calendar, { raw: args.includes("--raw") }));
+      } else if (subCommand === "reopen") {
+        const uidIndex = args.indexOf("--uid");
+        if (uidIndex === -1) throw new Error("Missing --uid");
+        const calIndex = args.indexOf("--calendar");
+        const calendar = calIndex !== -1 ? args[calIndex + 1] : null;
+        output(await CalDAV.reopenTask(args[uidIndex + 1], calendar));
+      } else if (subCommand === "move" || subCommand === "copy") {
+        const uidIndex = args.indexOf("--uid");
+        if (uidIndex === -1) throw new Error("Missing --uid");
+        const toIndex = args.indexOf("--to");
+        if (toIndex === -1) throw new Error("Missing --to");
+        const calIndex = args.indexOf("--calendar");
+        const calendar = calIndex !== -1 ? args[calIndex + 1] : null;
+        output(await CalDAV.transferObject("VTODO", args[uidIndex + 1], calendar, args[toIndex + 1], subCommand === "copy"));
       } else {
         throw new Error("Unknown tasks command");
       }
@@ -16320,7 +18584,39 @@ async function main() {
         if (type === "tasks") componentType = "VTODO";
         else if (type === "events") componentType = "VEVENT";
         const calendars = await CalDAV.findCalendars(componentType);
-        output(calendars.map((c) => ({ name: c.displayname, type: c.componentType === "VTODO" ? "tasks" : "events" })));
+        output(calendars.map((c) => ({
+          name: c.displayname,
+          type: c.componentType === "VTODO" ? "tasks" : "events",
+          color: c.color,
+          description: c.description,
+          url: `${CONFIG.url}${c.url}`
+        })));
+      } else if (subCommand === "create") {
+        const nameIndex = args.indexOf("--name");
+        if (nameIndex === -1) throw new Error("Missing --name");
+        const typeIndex = args.indexOf("--type");
+        if (typeIndex === -1) throw new Error("Missing --type");
+        const options = {};
+        const colorIndex = args.indexOf("--color");
+        if (colorIndex !== -1) options.color = args[colorIndex + 1];
+        const descIndex = args.indexOf("--description");
+        if (descIndex !== -1) options.description = args[descIndex + 1];
+        output(await CalDAV.createCalendar(args[nameIndex + 1], args[typeIndex + 1], options));
+      } else if (subCommand === "edit") {
+        const nameIndex = args.indexOf("--name");
+        if (nameIndex === -1) throw new Error("Missing --name");
+        const updates = {};
+        const newNameIndex = args.indexOf("--new-name");
+        if (newNameIndex !== -1) updates.name = args[newNameIndex + 1];
+        const colorIndex = args.indexOf("--color");
+        if (colorIndex !== -1) updates.color = args[colorIndex + 1];
+        const descIndex = args.indexOf("--description");
+        if (descIndex !== -1) updates.description = args[descIndex + 1];
+        output(await CalDAV.updateCalendar(args[nameIndex + 1], updates));
+      } else if (subCommand === "delete") {
+        const nameIndex = args.indexOf("--name");
+        if (nameIndex === -1) throw new Error("Missing --name");
+        output(await CalDAV.deleteCalendar(args[nameIndex + 1]));
       } else {
         throw new Error("Unknown calendars command");
       }
@@ -16388,6 +18684,7 @@ async function main() {
         if (titleIndex !== -1) updates.title = args[titleIndex + 1];
         const noteIndex = args.indexOf("--note");
         if (noteIndex !== -1) updates.note = args[noteIndex + 1];
+        updates.clear = getArgValues(args, "--clear");
         output(await Contacts.update(uid, addressBook, updates));
       } else if (subCommand === "delete") {
         const uidIndex = args.indexOf("--uid");
@@ -16399,8 +18696,45 @@ async function main() {
       } else {
         throw new Error("Unknown contacts command");
       }
+    } else if (command === "shares") {
+      if (subCommand === "list") {
+        const pathIndex = args.indexOf("--path");
+        output(await Shares.list(pathIndex !== -1 ? args[pathIndex + 1] : null));
+      } else if (subCommand === "create" || subCommand === "edit") {
+        const options = {};
+        const flags = {
+          "--with": "with",
+          "--permissions": "permissions",
+          "--password": "password",
+          "--expire": "expire",
+          "--note": "note",
+          "--label": "label"
+        };
+        for (const [flag, key] of Object.entries(flags)) {
+          const index = args.indexOf(flag);
+          if (index !== -1) options[key] = args[index + 1];
+        }
+        if (subCommand === "create") {
+          const pathIndex = args.indexOf("--path");
+          if (pathIndex === -1) throw new Error("Missing --path");
+          const typeIndex = args.indexOf("--type");
+          if (typeIndex === -1) throw new Error("Missing --type");
+          output(await Shares.create(args[pathIndex + 1], args[typeIndex + 1], options));
+        } else {
+          const idIndex = args.indexOf("--id");
+          if (idIndex === -1) throw new Error("Missing --id");
+          options.clear = getArgValues(args, "--clear");
+          output(await Shares.update(args[idIndex + 1], options));
+        }
+      } else if (subCommand === "delete") {
+        const idIndex = args.indexOf("--id");
+        if (idIndex === -1) throw new Error("Missing --id");
+        output(await Shares.delete(args[idIndex + 1]));
+      } else {
+        throw new Error("Unknown shares command");
+      }
     } else {
-      console.log("Usage: node index.js <notes|files|calendar|calendars|tasks|contacts|addressbooks> <list|get|create|search|edit|delete> [options]");
+      console.log("Usage: node index.js <notes|files|shares|calendar|calendars|tasks|contacts|addressbooks> <list|get|create|search|edit|delete> [options]");
     }
   } catch (err) {
     errorOutput(err);